@@ -1,8 +1,10 @@
 /* app.js
-   - Same feature set as before (headings → generators, power cycles, global search snippets)
-   - NEW: when a global or in-note search is active, any section whose content contains the query
-          will be given the "highlight" class (visual full-section highlight), AND matching text
-          inside that section is wrapped in <mark> as before.
+   - The browser UI: sidebar of reports, note pane (editor, in-note search, weekly summary) and the Generators,
+     Action items, Power cycles and Problems tabs, each reachable by a #/ route
+   - Loads notes/notes.json and the reports it lists (plus reports imported into IndexedDB), sites.json and the
+     New Log templates; saves through server.js when it's running, else as downloads
+   - Parsing, search, the site registry, generator index, issue threads and action items come from core.js
+     (PowerCycleCore); full-text lookups from search-index.js, in search-worker.js when workers are available
 */
 
 const els = {
@@ -19,34 +21,85 @@ const els = {
   generatorList: document.getElementById("generatorList"),
   generatorMentions: document.getElementById("generatorMentions"),
   generatorsEmpty: document.getElementById("generatorsEmpty"),
+  needsMapping: document.getElementById("needsMapping"),
+  chronicIssues: document.getElementById("chronicIssues"),
+  summarizeBtn: document.getElementById("summarizeBtn"),
+  summaryView: document.getElementById("summaryView"),
+  summaryContent: document.getElementById("summaryContent"),
+  summaryMeta: document.getElementById("summaryMeta"),
   tabNotes: document.getElementById("tabNotes"),
   tabGenerators: document.getElementById("tabGenerators"),
+  tabActions: document.getElementById("tabActions"),
+  actionsView: document.getElementById("actionsView"),
+  actionsEmpty: document.getElementById("actionsEmpty"),
+  actionsMeta: document.getElementById("actionsMeta"),
+  actionList: document.getElementById("actionList"),
+  actionOwnerFilter: document.getElementById("actionOwnerFilter"),
+  actionSiteFilter: document.getElementById("actionSiteFilter"),
+  actionStatusFilter: document.getElementById("actionStatusFilter"),
   newLogBtn: document.getElementById("newLogBtn"),
+  templateSelect: document.getElementById("templateSelect"),
+  uploadBtn: document.getElementById("uploadBtn"),
+  uploadInput: document.getElementById("uploadInput"),
+  sidebar: document.getElementById("sidebar"),
+  importFilesBtn: document.getElementById("importFilesBtn"),
+  importFilesInput: document.getElementById("importFilesInput"),
+  importFolderBtn: document.getElementById("importFolderBtn"),
+  importFolderInput: document.getElementById("importFolderInput"),
+  removeImportBtn: document.getElementById("removeImportBtn"),
+  editNoteBtn: document.getElementById("editNoteBtn"),
+  editorView: document.getElementById("editorView"),
+  editorFilename: document.getElementById("editorFilename"),
+  editorText: document.getElementById("editorText"),
+  editorPreview: document.getElementById("editorPreview"),
+  editorStatus: document.getElementById("editorStatus"),
+  editorSaveBtn: document.getElementById("editorSaveBtn"),
+  editorCloseBtn: document.getElementById("editorCloseBtn"),
+  tabCycles: document.getElementById("tabCycles"),
+  cyclesView: document.getElementById("cyclesView"),
+  cyclesFrom: document.getElementById("cyclesFrom"),
+  cyclesTo: document.getElementById("cyclesTo"),
+  cyclesAllBtn: document.getElementById("cyclesAllBtn"),
+  cyclesMeta: document.getElementById("cyclesMeta"),
+  cyclesEmpty: document.getElementById("cyclesEmpty"),
+  cyclesStats: document.getElementById("cyclesStats"),
+  cyclesOffenders: document.getElementById("cyclesOffenders"),
+  cyclesTimeline: document.getElementById("cyclesTimeline"),
+  cyclesHeatmap: document.getElementById("cyclesHeatmap"),
+  tabProblems: document.getElementById("tabProblems"),
+  problemsView: document.getElementById("problemsView"),
+  problemSeverityFilter: document.getElementById("problemSeverityFilter"),
+  problemRuleFilter: document.getElementById("problemRuleFilter"),
+  problemsMeta: document.getElementById("problemsMeta"),
+  problemsEmpty: document.getElementById("problemsEmpty"),
+  problemList: document.getElementById("problemList"),
 };
 
-let notes = []; // { id, filename, dateKey, text, blocks }
-let notesByDateKey = {}; // dateKey -> noteId
+let notes = []; // { id, filename, dateKey, source: server|imported, headings, size, hash, text, blocks, status: pending|loading|loaded|error, error }
+let notesByDateKey = {}; // dateKey -> [noteId], server reports first (an imported copy can share a date)
 let activeNoteId = null;
+let pendingSectionJump = null; // section (id or slug) to scroll to once the active note has rendered
 
 let generatorsIndex = {};   // genKey -> [{mention...}]
 let generatorsDisplay = {}; // genKey -> canonical display name
-let powerCyclesMap = {};    // normalized site key -> [{dateKey,noteId,filename,raw}]
+let generatorsInfo = {};    // genKey -> { siteId, generatorId, matched }
+let needsMapping = [];      // headings / power cycle names that don't resolve against sites.json
+let powerCyclesMap = {};    // site id (or normalized name) -> [{dateKey,noteId,filename,sectionId,raw,generatorIds}]
+let issueThreads = [];      // recurring issues per site, longest-running first (see buildIssueThreads in core.js)
+let actionItems = [];       // [{key,text,owner,site,siteKey,firstDateKey,lastDateKey,done,...}]
+
+// Parsing, search, the site registry and the generator index live in core.js (shared with cli.js)
+const {
+  normalizeNameKey, dateKeyFromFilename, parseNoteToBlocks, STATUS_TAG_RE, tagsInText, stripTags, isPowerCycleTitle,
+  QuerySyntaxError, compileSearch, matchRanges, createSiteRegistry, resolveSiteName, addMappingToRegistryData, buildGeneratorIndex, findPowerCycles,
+  DAY_MS, dayNumber, dateKeyFromDayNumber, buildIssueThreads,
+  ACTION_MARKER_RE, actionOwners, parseActionItem,
+} = PowerCycleCore;
 
 // ---------- Helpers ----------
 function escapeHtml(s){ return String(s||"").replaceAll("&","&amp;").replaceAll("<","&lt;").replaceAll(">","&gt;").replaceAll('"',"&quot;").replaceAll("'","&#039;"); }
 function normalizeQuery(q){ return (q||"").trim().toLowerCase(); }
-function normalizeNameKey(s){ return String(s||"").toLowerCase().replace(/[^a-z0-9]+/g,""); }
-function dateKeyFromFilename(filename){
-  const base = filename.replace(/\.txt$/i,"");
-  const m = base.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-  if(!m) return base;
-  const yyyy=m[1], mm=String(parseInt(m[2],10)).padStart(2,"0"), dd=String(parseInt(m[3],10)).padStart(2,"0");
-  return `${yyyy}-${mm}-${dd}`;
-}
 function prettyDate(k){ const m=k.match(/^(\d{4})-(\d{2})-(\d{2})$/); if(!m) return k; const d=new Date(`${m[1]}-${m[2]}-${m[3]}T00:00:00`); return isNaN(d.getTime())?k:d.toLocaleDateString(undefined,{year:"numeric",month:"long",day:"numeric"}); }
-function slugFor(s){ return String(s||"").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"").slice(0,80); }
-function highlightHtml(html,q){ const qq=normalizeQuery(q); if(!qq) return html; const parts=html.split(/(<[^>]+>)/g); const re=new RegExp(qq.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),"gi"); return parts.map(p=>p.startsWith("<")?p:p.replace(re,m=>`<mark>${m}</mark>`)).join(""); }
-function countOccurrences(text,q){ const qq=normalizeQuery(q); if(!qq) return 0; const re=new RegExp(qq.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),"gi"); const m=String(text||"").match(re); return m?m.length:0; }
 
 function localISODateString(d = new Date()) {
   // YYYY-MM-DD in the user's local timezone
@@ -56,8 +109,12 @@ function localISODateString(d = new Date()) {
   return `${yyyy}-${mm}-${dd}`;
 }
 
-function triggerTextDownload(filename, text) {
-  const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
+// Optional files that didn't load (sites.json, templates…); listed after the note count in the sidebar meta line
+let loadWarnings = [];
+function addLoadWarning(message){ if(!loadWarnings.includes(message)) loadWarnings.push(message); }
+
+function triggerTextDownload(filename, text, type = "text/plain;charset=utf-8") {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
@@ -70,114 +127,730 @@ function triggerTextDownload(filename, text) {
   URL.revokeObjectURL(url);
 }
 
-async function downloadNewLogFromTemplate() {
-  // default filename is today's date
-  const defaultName = `${localISODateString()}.txt`;
+// ---------- New Log templates ----------
+// templates.json lists the named templates offered by "New Log": { id, name, file, carryForward }.
+// carryForward picks the notes whose site headings and open bullets fill {{sites}}:
+//   "last-note" (the latest note before the new date), "last-month" (every note in the month before it) or "none".
+const DEFAULT_TEMPLATES = [{ id: "weekly", name: "Weekly meeting", file: "template.txt", carryForward: "last-note" }];
+// what {{sites}} becomes when there is nothing to carry forward
+const BLANK_SITES_TEXT = "site 1:\n- notes\n- notes\n\nsite 2:\n- notes\n- notes\n\nsite 3:\n- notes\n- notes";
+let templates = DEFAULT_TEMPLATES;
 
-  // If today's log already exists in your loaded list, suggest a unique name
-  let suggested = defaultName;
-  if (notesByDateKey[localISODateString()]) {
-    suggested = `${localISODateString()}-new.txt`;
+async function fetchTemplateText(file = "template.txt") {
+  // Fetch template.txt (place it next to index.html, or adjust the path)
+  const res = await fetch(`./${file}`, { cache: "no-store" });
+  if (!res.ok) {
+    throw new Error(`Could not load ${file} (${res.status}). Make sure ${file} is served next to index.html.`);
   }
+  return res.text();
+}
+
+async function loadTemplates() {
+  try {
+    const res = await fetch("./templates.json", { cache: "no-store" });
+    if (!res.ok) throw new Error(`templates.json (${res.status})`);
+    const list = await res.json();
+    const valid = (Array.isArray(list) ? list : []).filter(t => t && typeof t.id === "string" && typeof t.file === "string");
+    if (valid.length) templates = valid.map(t => ({ name: t.id, carryForward: "last-note", ...t }));
+  } catch (err) {
+    addLoadWarning(`templates.json didn't load, so New Log uses template.txt (${err.message || err})`);
+  }
+  els.templateSelect.innerHTML = templates.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`).join("");
+  els.templateSelect.classList.toggle("hidden", templates.length < 2);
+}
+
+// Bullets still worth talking about: drops [RESOLVED] ones and checked-off [x] actions, along with their sub-bullets
+function openBullets(nodes) {
+  return nodes.filter(n => !tagsInText(n.text).includes("RESOLVED") && !/^\[x\]/i.test(n.text))
+    .map(n => ({ ...n, children: openBullets(n.children || []) }));
+}
+
+function bulletLines(nodes, depth = 0) {
+  return nodes.flatMap(n => [`${"    ".repeat(depth)}- ${n.text}`].concat(bulletLines(n.children || [], depth + 1)));
+}
+
+function monthBefore(dateKey) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// Site sections to start the new note with: the newest note's bullets win when a site appears in several
+async function carriedForward(template, dateKey) {
+  const earlier = notes.filter(n => n.dateKey < dateKey).sort((a, b) => b.dateKey.localeCompare(a.dateKey));
+  const from = template.carryForward === "last-month" ? earlier.filter(n => n.dateKey >= monthBefore(dateKey))
+    : template.carryForward === "none" ? [] : earlier.slice(0, 1);
+  await Promise.all(from.map(ensureNoteBody));
+  const sites = new Map();
+  from.filter(n => n.status === "loaded").forEach(n => n.blocks.forEach(b => {
+    if (!b.line || isPowerCycleTitle(b.title)) return;
+    const key = normalizeNameKey(b.title);
+    if (!sites.has(key)) sites.set(key, { title: b.title, bullets: openBullets(b.list || []) });
+  }));
+  return { previousDate: from.length ? from[from.length - 1].dateKey : "", sites: [...sites.values()] };
+}
+
+function fillTemplate(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => (Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : m));
+}
 
-  const filename = prompt("New log filename:", suggested);
+async function buildNewLogText(template, dateKey) {
+  const text = await fetchTemplateText(template.file);
+  const carried = await carriedForward(template, dateKey);
+  const sitesText = carried.sites.map(s => [`${s.title}:`].concat(bulletLines(s.bullets)).join("\n")).join("\n\n");
+  const d = new Date(`${dateKey}T00:00:00`);
+  return fillTemplate(text, {
+    date: dateKey,
+    previousDate: carried.previousDate,
+    month: isNaN(d.getTime()) ? "" : d.toLocaleDateString(undefined, { year: "numeric", month: "long" }),
+    sites: sitesText || BLANK_SITES_TEXT,
+  });
+}
+
+// Today, or the first later day that doesn't have a log yet
+function nextFreeDateKey() {
+  const d = new Date();
+  while (notesByDateKey[localISODateString(d)]) d.setDate(d.getDate() + 1);
+  return localISODateString(d);
+}
+
+async function newNoteFromTemplate() {
+  if (!showView("notes")) return;
+  const template = templates.find(t => t.id === els.templateSelect.value) || templates[0];
+  const filename = prompt(`New log filename (${template.name}):`, `${nextFreeDateKey()}.txt`);
   if (!filename) return;
 
   // Ensure .txt extension
   const finalName = filename.toLowerCase().endsWith(".txt") ? filename : `${filename}.txt`;
+  // the date picks the bullets to carry forward, and the report server only takes dated names
+  const dateKey = dateKeyFromFilename(finalName);
+  const m = dateKey.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m || !isValidDate(+m[1], +m[2], +m[3])) {
+    alert(`“${finalName}” isn't a date. Name new logs YYYY-MM-DD.txt, for example ${nextFreeDateKey()}.txt.`);
+    return;
+  }
 
-  // Fetch template.txt (place it next to index.html, or adjust the path)
-  const res = await fetch("./template.txt", { cache: "no-store" });
-  if (!res.ok) {
-    alert(`Could not load template.txt (${res.status}). Make sure template.txt is served next to index.html.`);
+  let templateText;
+  try {
+    templateText = await buildNewLogText(template, dateKey);
+  } catch (err) {
+    alert(err.message || err);
+    return;
+  }
+  openEditor({ filename: finalName, text: templateText, isNew: true });
+}
+
+// ---------- Note storage backends ----------
+// Each backend: { id, label, available() -> bool, save(filename, text, { isNew, replaceWith }) -> { filename, saved|skipped|error },
+//                 saveSites(registryData) -> { saved|error } }
+async function apiError(res){
+  try { const body = await res.json(); if(body && body.error) return body.error; } catch(e){}
+  return `HTTP ${res.status}`;
+}
+
+const serverStorage = {
+  id: "server",
+  label: "report server",
+  async available(){
+    try { const res = await fetch("./api/notes", { cache: "no-store" }); return res.ok && Array.isArray(await res.json()); }
+    catch(e){ return false; }
+  },
+  async save(filename, text, { isNew = false, replaceWith = null } = {}){
+    const url = `./api/notes/${encodeURIComponent(filename)}`;
+    const send = method => fetch(url, { method, headers: { "Content-Type": "text/plain;charset=utf-8" }, body: text });
+    let res = await send(isNew ? "POST" : "PUT");
+    if(res.status === 409){
+      if(!confirm(`${await apiError(res)}\n\nReplace it${replaceWith ? ` with ${replaceWith}` : ""}?`)) return { filename, skipped: true };
+      res = await send("PUT");
+    }
+    if(res.status === 404 || res.status === 405 || res.status === 501){
+      return { filename, error: "saving needs the report server (node server.js)" };
+    }
+    if(!res.ok) return { filename, error: await apiError(res) };
+    const body = await res.json().catch(()=> ({}));
+    return { filename: body.filename || filename, saved: true };
+  },
+  async saveSites(data){
+    const res = await fetch("./api/sites", { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify(data, null, 2) });
+    if(!res.ok) return { error: await apiError(res) };
+    return { saved: true };
+  },
+};
+
+// Fallback when the app is served statically: hand the file to the user like the old New Log button did
+const downloadStorage = {
+  id: "download",
+  label: "download",
+  async available(){ return true; },
+  async save(filename, text){ triggerTextDownload(filename, text); return { filename, saved: true, downloaded: true }; },
+  async saveSites(data){ triggerTextDownload("sites.json", JSON.stringify(data, null, 2) + "\n"); return { saved: true, downloaded: true }; },
+};
+
+const storageBackends = [serverStorage, downloadStorage];
+let noteStorage = downloadStorage;
+
+async function detectNoteStorage(){
+  for(const backend of storageBackends){
+    if(await backend.available()){ noteStorage = backend; break; }
+  }
+  renderEditorStatus();
+  return noteStorage;
+}
+
+// ---------- Editor (edit mode in the main pane) ----------
+let editor = null; // { filename, originalText, isNew, importedId } (importedId: editing an imported report)
+let editorPreviewTimer = null;
+
+function editorIsDirty(){ return Boolean(editor) && els.editorText.value !== editor.originalText; }
+
+function openEditor({ filename, text, isNew, importedId = null }){
+  editor = { filename, originalText: isNew ? "" : text, isNew, importedId };
+  els.editorFilename.value = filename;
+  els.editorFilename.disabled = !isNew;
+  els.editorText.value = text;
+  showView("editor");
+  renderEditorPreview();
+  renderEditorStatus();
+  els.editorText.focus();
+}
+
+function openEditorForActiveNote(){
+  const note = notes.find(n => n.id === activeNoteId);
+  if(!note || note.status!=="loaded" || !closeEditor()) return;
+  openEditor({ filename: note.filename, text: note.text, isNew: false, importedId: note.source==="imported" ? note.id : null });
+}
+
+// Returns false if the user wants to keep their unsaved edits
+function closeEditor({ force = false } = {}){
+  if(!editor) return true;
+  if(!force && editorIsDirty() && !confirm("Discard unsaved changes?")) return false;
+  editor = null;
+  clearTimeout(editorPreviewTimer);
+  return true;
+}
+
+function renderEditorPreview(){
+  const filename = els.editorFilename.value || "untitled.txt";
+  const blocks = parseNoteToBlocks(els.editorText.value, filename);
+  els.editorPreview.innerHTML = renderBlocksToHtml(blocks, lintNote({ id: null, blocks }));
+}
+
+function renderEditorStatus(message=""){
+  if(!els.editorStatus) return;
+  const dirty = editorIsDirty();
+  const state = editor && editor.isNew ? (dirty ? "● New note, not saved" : "New note") : (dirty ? "● Unsaved changes" : "No unsaved changes");
+  const target = editor && editor.importedId ? "Saves to the imported copy in this browser" : noteStorage.id === "server" ? "Saves to the report server" : "Saves as a download (no report server detected)";
+  els.editorStatus.textContent = message || `${state} • ${target}`;
+  els.editorStatus.classList.toggle("dirty", dirty && !message);
+  els.editorSaveBtn.disabled = Boolean(editor) && !dirty && !editor.isNew;
+}
+
+async function saveEditor(){
+  if(!editor) return;
+  const raw = els.editorFilename.value.trim();
+  if(!raw){ renderEditorStatus("Enter a file name first."); return; }
+  const filename = raw.toLowerCase().endsWith(".txt") ? raw : `${raw}.txt`;
+  if(noteStorage.id === "server" && !editor.importedId && !/^\d{4}-\d{2}-\d{2}$/.test(dateKeyFromFilename(filename))){
+    renderEditorStatus("The report server needs a YYYY-MM-DD.txt file name.");
     return;
   }
 
-  const templateText = await res.text();
-  triggerTextDownload(finalName, templateText);
+  const text = els.editorText.value;
+  els.editorSaveBtn.disabled = true;
+  let result;
+  // an imported report is only ever saved back to this browser, never to the server
+  try { result = editor.importedId ? await saveImportedNote(editor.importedId, text) : await noteStorage.save(filename, text, { isNew: editor.isNew }); }
+  catch(err){ result = { filename, error: String(err.message || err) }; }
+  if(!editor) return;
+  if(result.error || result.skipped){
+    renderEditorStatus(result.error ? `Not saved: ${result.error}` : "");
+    return;
+  }
+
+  editor.filename = result.filename;
+  editor.originalText = text;
+  editor.isNew = false;
+  els.editorFilename.value = result.filename;
+  els.editorFilename.disabled = true;
+  if(noteStorage.id === "server" && !editor.importedId) await refreshNotes(result.filename);
+  renderEditorStatus(result.downloaded ? `Downloaded ${result.filename}. Copy it into /notes to publish it.` : `Saved ${result.filename}.`);
 }
 
+function closeEditorToNote(){
+  if(!closeEditor()) return;
+  showView("notes");
+}
 
-// ---------- Parse notes into sections ----------
-function parseNoteToBlocks(text, filename){
-  const lines=String(text||"").split(/\r?\n/);
-  const blocks=[]; let current=null;
-  function flush(){ if(!current) return; if(!current.id) current.id = slugFor(`${filename}-${current.title||"notes"}`); blocks.push(current); current=null; }
-  for(const raw of lines){
-    const line=raw.replace(/\t/g,"    "); const t=line.trim();
-    if(!t){ continue; }
-    const isHeading = t.endsWith(":") && !t.startsWith("-");
-    if(isHeading){ flush(); current={ type:"section", title: t.slice(0,-1), items:[], paragraphs:[], id:null }; continue; }
-    const isBullet = t.startsWith("- ");
-    if(isBullet){ if(!current) current={ type:"section", title:"Notes", items:[], paragraphs:[], id:null }; current.items.push(t.slice(2)); continue; }
-    if(!current) current={ type:"section", title:"Notes", items:[], paragraphs:[], id:null }; current.paragraphs.push(t);
+// ---------- Upload reports (needs server.js) ----------
+async function uploadReport(file){
+  const dateKey = dateKeyFromFilename(file.name);
+  if(!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return { filename: file.name, error: "name must look like YYYY-MM-DD.txt" };
+  const text = await file.text();
+  return serverStorage.save(`${dateKey}.txt`, text, { isNew: true, replaceWith: file.name });
+}
+
+async function uploadReports(fileList){
+  const files = Array.from(fileList || []);
+  if(!files.length) return;
+  els.uploadBtn.disabled = true;
+  const results = [];
+  try {
+    // one at a time so overwrite prompts don't stack up
+    for(const file of files){
+      try { results.push(await uploadReport(file)); }
+      catch(err){ results.push({ filename: file.name, error: String(err.message || err) }); }
+    }
+  } finally {
+    els.uploadBtn.disabled = false;
   }
-  flush();
-  if(blocks.length===0) return [{ type:"section", title:"Notes", items:[], paragraphs:[], id: slugFor(`${filename}-notes`) }];
-  return blocks;
+
+  const failed = results.filter(r => r.error);
+  if(results.some(r => r.saved)) await refreshNotes(results.filter(r => r.saved).pop().filename);
+  if(failed.length) alert(`Some reports were not uploaded:\n\n${failed.map(r => `${r.filename}: ${r.error}`).join("\n")}`);
+}
+
+// Reload notes.json and the note files without reloading the page; keeps (or moves to) the selected note
+async function refreshNotes(preferFilename=null){
+  const current = notes.find(n => n.id === activeNoteId);
+  const keepId = preferFilename || (current ? current.id : null); // server report ids are their filenames
+  try {
+    await loadNotes();
+  } catch(err){
+    els.globalSearchMeta.textContent = `Error reloading notes: ${err.message || err}`;
+    return;
+  }
+  renderFileList();
+  const next = notes.find(n => n.id === keepId) || notes[0];
+  if(next) setActiveNote(next.id);
+  // bodies whose hash didn't change aren't reloaded, so open views wouldn't hear about a deleted report otherwise
+  refreshAllNoteViews();
+}
+
+// ---------- Imported reports (drag & drop / folder picker, kept in IndexedDB) ----------
+// Reports read straight from disk, so the app works without a server or notes.json (even from file://).
+// They go through the same parse + lint + index pipeline as server reports and live alongside them with
+// "imported/<filename>" ids; IndexedDB keeps { filename, text, importedAt } so they survive a reload.
+const IMPORT_DB = "power-cycle-summary", IMPORT_STORE = "imported";
+let importedNotes = [];
+
+const importStore = (function(){
+  let dbPromise = null;
+
+  function open(){
+    if(!dbPromise) dbPromise = new Promise((resolve, reject)=>{
+      if(typeof indexedDB === "undefined"){ reject(new Error("this browser has no IndexedDB")); return; }
+      const req = indexedDB.open(IMPORT_DB, 1);
+      req.onupgradeneeded = ()=> req.result.createObjectStore(IMPORT_STORE, { keyPath: "filename" });
+      req.onsuccess = ()=> resolve(req.result);
+      req.onerror = ()=> reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  async function run(mode, fn){
+    const db = await open();
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction(IMPORT_STORE, mode);
+      const req = fn(tx.objectStore(IMPORT_STORE));
+      tx.oncomplete = ()=> resolve(req.result);
+      tx.onerror = tx.onabort = ()=> reject(tx.error || new Error("IndexedDB transaction failed"));
+    });
+  }
+
+  return {
+    all(){ return run("readonly", store => store.getAll()); },
+    put(record){ return run("readwrite", store => store.put(record)); },
+    remove(filename){ return run("readwrite", store => store.delete(filename)); },
+  };
+})();
+
+function importedNote(record){
+  const note = { id: `imported/${record.filename}`, filename: record.filename, dateKey: dateKeyFromFilename(record.filename), source: "imported", importedAt: record.importedAt,
+    headings: null, size: record.text.length, hash: null, text: null, blocks: [], status: "loading", error: null, bodyPromise: null };
+  applyNoteText(note, record.text);
+  return note;
 }
 
-function renderBlocksToHtml(blocks){
-  return blocks.map(b=>{
+async function loadImportedNotes(){
+  try { importedNotes = (await importStore.all()).filter(r => /^\d{4}-\d{2}-\d{2}$/.test(dateKeyFromFilename(r.filename))).map(importedNote); }
+  catch(err){ addLoadWarning(`imported reports unavailable (${err.message || err})`); }
+}
+
+// Puts the current importedNotes into the notes list next to the server reports
+function mergeImportedNotes(){
+  notes = notes.filter(n => n.source!=="imported").concat(importedNotes).sort((a,b)=> b.dateKey.localeCompare(a.dateKey));
+  indexNotesByDate();
+}
+
+// Same text as a loaded report -> skipped; same filename as an earlier import -> replaced (after asking);
+// same date as another report -> kept, and both are flagged in the list
+async function importReport(file){
+  const filename = file.name;
+  // like uploads: the date in the name is what orders reports, links them and spaces out power cycles
+  if(!/^\d{4}-\d{2}-\d{2}$/.test(dateKeyFromFilename(filename))) return { filename, error: "name must look like YYYY-MM-DD.txt" };
+  const text = await file.text();
+  if(text.includes("\0")) return { filename, error: "not a plain .txt file" };
+  if(!text.trim()) return { filename, error: "the file is empty" };
+  const same = notes.concat(importedNotes).find(n => n.status==="loaded" && n.text===text);
+  if(same) return { filename, skipped: `same text as ${same.filename}${same.source==="imported" ? " (imported)" : ""}` };
+  const previous = importedNotes.find(n => n.filename===filename);
+  if(previous && !confirm(`${filename} was imported before. Replace it with this copy?`)) return { filename, skipped: "kept the earlier import" };
+
+  const record = { filename, text, importedAt: new Date().toISOString() };
+  let persistError = null;
+  try { await importStore.put(record); }
+  catch(err){ persistError = String(err.message || err); }
+  if(previous) searchIndex.remove(previous.id);
+  const note = importedNote(record);
+  importedNotes = importedNotes.filter(n => n!==previous).concat(note);
+  const sameDate = [...new Set(notes.concat(importedNotes).filter(n => n.dateKey===note.dateKey && n.id!==note.id).map(n => n.filename))];
+  return { filename, note, imported: true, persistError, sameDate };
+}
+
+async function importReports(fileList){
+  const files = Array.from(fileList || []);
+  const reports = files.filter(f => /\.txt$/i.test(f.name));
+  if(!reports.length){ if(files.length) alert("Nothing to import: only .txt reports can be imported."); return; }
+  const results = [];
+  // one at a time so replace prompts don't stack up
+  for(const file of reports){
+    try { results.push(await importReport(file)); }
+    catch(err){ results.push({ filename: file.name, error: String(err.message || err) }); }
+  }
+
+  const imported = results.filter(r => r.imported);
+  if(imported.length){
+    mergeImportedNotes();
+    renderFileList();
+    refreshAllNoteViews();
+    openNote(imported[imported.length-1].note.id);
+  }
+  const lines = [];
+  const ignored = files.filter(f => !/\.txt$/i.test(f.name) && f.name!=="notes.json").length; // a notes folder's manifest is expected
+  if(ignored) lines.push(`Ignored ${ignored} file${ignored===1?" that isn't a .txt report":"s that aren't .txt reports"}.`);
+  results.filter(r => r.error).forEach(r => lines.push(`${r.filename}: ${r.error}`));
+  results.filter(r => r.skipped).forEach(r => lines.push(`${r.filename}: skipped, ${r.skipped}`));
+  imported.filter(r => r.sameDate.length).forEach(r => lines.push(`${r.filename}: same date as ${r.sameDate.join(", ")}; both are listed.`));
+  const persistErrors = [...new Set(imported.map(r => r.persistError).filter(Boolean))];
+  if(persistErrors.length) lines.push(`This browser couldn't store the imports (${persistErrors.join("; ")}), so they'll be gone after a reload.`);
+  if(lines.length) alert(`Imported ${imported.length} of ${reports.length} report${reports.length===1?"":"s"}.\n\n${lines.join("\n")}`);
+}
+
+// Edits to an imported report: back into IndexedDB, then re-parsed like a fresh import
+async function saveImportedNote(id, text){
+  const note = importedNotes.find(n => n.id===id);
+  if(!note) return { filename: id, error: "the import was removed meanwhile" };
+  try { await importStore.put({ filename: note.filename, text, importedAt: note.importedAt }); }
+  catch(err){ return { filename: note.filename, error: `this browser couldn't store it (${err.message || err})` }; }
+  applyNoteText(note, text);
+  note.size = text.length;
+  renderFileList();
+  refreshAllNoteViews();
+  if(note.id===activeNoteId) renderActiveNote();
+  return { filename: note.filename, saved: true };
+}
+
+async function removeImportedNote(id){
+  const note = importedNotes.find(n => n.id===id);
+  if(!note || !confirm(`Remove the imported ${note.filename} from this browser?`)) return;
+  try { await importStore.remove(note.filename); }
+  catch(err){ alert(`Could not remove ${note.filename} from this browser's storage (${err.message || err}); it will be back after a reload.`); }
+  importedNotes = importedNotes.filter(n => n!==note);
+  searchIndex.remove(note.id);
+  mergeImportedNotes();
+  renderFileList();
+  refreshAllNoteViews();
+  if(activeNoteId!==id) return;
+  activeNoteId = null;
+  if(notes[0]) setActiveNote(notes[0].id);
+  else showNoNotes();
+}
+
+// Files from a drop: folders are walked (webkitGetAsEntry), loose files come through as they are
+async function filesFromDrop(dataTransfer){
+  // entries have to be taken before the first await, while the drop event is still live
+  const entries = Array.from(dataTransfer.items || []).map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null).filter(Boolean);
+  if(!entries.length) return Array.from(dataTransfer.files || []);
+  const files = [];
+  async function walk(entry){
+    if(entry.isFile){ files.push(await new Promise((resolve, reject)=> entry.file(resolve, reject))); return; }
+    if(!entry.isDirectory) return;
+    const reader = entry.createReader();
+    // readEntries hands back the folder in batches until it returns an empty one
+    for(;;){
+      const batch = await new Promise((resolve, reject)=> reader.readEntries(resolve, reject));
+      if(!batch.length) break;
+      for(const child of batch) await walk(child);
+    }
+  }
+  for(const entry of entries) await walk(entry);
+  return files;
+}
+
+function dragHasFiles(e){ return Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes("Files"); }
+
+
+// ---------- Inline formatting: status tags, links, `code`, **bold** ----------
+// Everything outside a recognised token goes through escapeHtml; links only ever get http(s) hrefs.
+const STATUS_TAG_STYLES = { OPEN: "warn", RESOLVED: "success", EQUIPMENT: "info" };
+const IPV4_SRC = "(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)(?:\\.(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)){3}";
+const INLINE_RE = new RegExp([
+  "`([^`]+)`",                                             // 1: code
+  "\\*\\*(.+?)\\*\\*",                                     // 2: bold
+  STATUS_TAG_RE.source,                                    // 3: tag
+  "(https?:\\/\\/[^\\s<>\"']+)",                           // 4: url
+  `(?<![\\d.])(${IPV4_SRC}(?::\\d{1,5})?)(?![\\d.]\\d)`,   // 5: ip[:port]
+].join("|"), "g");
+
+
+function tagBadgeHtml(tag){ return `<span class="badge tag ${STATUS_TAG_STYLES[tag] || ""}">${escapeHtml(tag)}</span>`; }
+
+function renderInlineHtml(text){
+  const s = String(text||""); let out = "", last = 0;
+  for(const m of s.matchAll(INLINE_RE)){
+    out += escapeHtml(s.slice(last, m.index));
+    if(m[1] !== undefined) out += `<code>${escapeHtml(m[1])}</code>`;
+    else if(m[2] !== undefined) out += `<strong>${renderInlineHtml(m[2])}</strong>`;
+    else if(m[3]) out += tagBadgeHtml(m[3]);
+    else if(m[4]){
+      // "see https://x.y/z." -> the period ends the sentence, not the URL
+      const url = m[4].replace(/[.,;:!?)\]]+$/, "");
+      out += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>${escapeHtml(m[4].slice(url.length))}`;
+    }
+    else if(m[5]) out += `<a href="http://${escapeHtml(m[5])}/" target="_blank" rel="noopener noreferrer">${escapeHtml(m[5])}</a>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHtml(s.slice(last));
+}
+
+function renderItemHtml(it){
+  const m = String(it).match(ACTION_MARKER_RE);
+  if(!m) return renderInlineHtml(it);
+  const done = m[1].toLowerCase()==="x";
+  return `<span class="action-check ${done?"done":""}" aria-label="${done?"done":"open"}">${done?"☑":"☐"}</span> ${renderInlineHtml(it.slice(m[0].length))}`;
+}
+
+function renderListHtml(nodes){
+  return nodes.length ? `<ul>${nodes.map(n => `<li>${renderItemHtml(n.text)}${renderListHtml(n.children)}</li>`).join("")}</ul>` : "";
+}
+
+// problems (from lintNote) are shown under the heading of their section; note-wide ones go on top
+function renderBlocksToHtml(blocks, problems=null){
+  const forBlock = id => (problems || []).filter(p => p.blockId===id);
+  return lintListHtml(forBlock(null)) + blocks.map(b=>{
     const title=escapeHtml(b.title||"Notes");
-    const paras=(b.paragraphs||[]).map(p=>`<p>${escapeHtml(p)}</p>`).join("");
-    const items=(b.items||[]).map(it=>`<li>${escapeHtml(it)}</li>`).join("");
-    const listHtml = items ? `<ul>${items}</ul>` : "";
-    return `<div class="section" id="${escapeHtml(b.id)}"><h2>${title}</h2>${paras}${listHtml}</div>`;
+    const paras=(b.paragraphs||[]).map(p=>`<p>${renderInlineHtml(p)}</p>`).join("");
+    // blocks built before nesting existed (or by hand) only have the flat items
+    const listHtml = renderListHtml(b.list || (b.items||[]).map(text => ({ text, children: [] })));
+    const lint = forBlock(b.id);
+    return `<div class="section${lint.length ? " has-problems" : ""}" id="${escapeHtml(b.id)}"><h2>${title}</h2>${lintListHtml(lint)}${paras}${listHtml}</div>`;
   }).join("");
 }
 
-// ---------- New: snippet extraction with highlight for global search ----------
-function snippetWithHighlight(noteText, query){
-  const q = normalizeQuery(query);
-  if(!q) return "";
-  const lower = String(noteText||"").toLowerCase();
-  const idx = lower.indexOf(q);
-  if(idx === -1) return "";
-  const start = Math.max(0, idx - 40);
-  const end = Math.min(lower.length, idx + q.length + 40);
-  const raw = String(noteText || "").slice(start, end).replace(/\s+/g, " ");
-  // Build highlighted snippet safely using escaping and slicing
-  const before = escapeHtml(String(noteText || "").slice(start, idx));
-  const match = escapeHtml(String(noteText || "").slice(idx, idx + q.length));
-  const after = escapeHtml(String(noteText || "").slice(idx + q.length, end));
+// Text between tags is escapeHtml() output: matches are found in the unescaped text so a query like "amp"
+// or /\d+/ can't land inside an entity, then each piece is escaped again
+function unescapeHtml(s){ return String(s).replaceAll("&lt;","<").replaceAll("&gt;",">").replaceAll("&quot;",'"').replaceAll("&#039;","'").replaceAll("&amp;","&"); }
+function highlightText(text, re){
+  let out = "", at = 0;
+  matchRanges(text, re).forEach(([a, z]) => { out += escapeHtml(text.slice(at, a)) + `<mark>${escapeHtml(text.slice(a, z))}</mark>`; at = z; });
+  return out + escapeHtml(text.slice(at));
+}
+function highlightHtml(html, re){
+  if(!re) return html;
+  const parts = html.split(/(<[^>]+>)/g);
+  return parts.map(p => p.startsWith("<") ? p : highlightText(unescapeHtml(p), re)).join("");
+}
+
+
+// Parses a search box; shows the error in metaEl and returns undefined when malformed
+function searchFromInput(input, metaEl){
+  metaEl.classList.remove("error");
   try {
-    return `${before}<mark>${match}</mark>${after}${ end < String(noteText||"").length ? "&hellip;" : "" }`;
-  } catch (e) {
-    return escapeHtml(raw).replace(new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"), "i"), m => `<mark>${escapeHtml(m)}</mark>`);
+    const search = compileSearch(input.value);
+    input.classList.remove("invalid");
+    return search;
+  } catch(err){
+    if(!(err instanceof QuerySyntaxError)) throw err;
+    input.classList.add("invalid");
+    metaEl.classList.add("error");
+    metaEl.textContent = `Query error: ${err.message}`;
+    return undefined;
   }
 }
 
+// ---------- Snippets: every matching region of the matching sections ----------
+const SNIPPET_CONTEXT = 40, SNIPPET_MAX_REGIONS = 4;
+
+function snippetsWithHighlight(result, search){
+  const regions = [];
+  result.sections.forEach(b => [b.title||""].concat(b.paragraphs||[], b.items||[]).forEach(line => {
+    const ranges = matchRanges(line, search.highlightRe);
+    if(!ranges.length) return;
+    // grow each match by some context and merge the windows that touch
+    const windows = [];
+    ranges.forEach(([a, z]) => {
+      const last = windows[windows.length-1];
+      const from = Math.max(0, a - SNIPPET_CONTEXT), to = Math.min(line.length, z + SNIPPET_CONTEXT);
+      if(last && from <= last.to){ last.to = Math.max(last.to, to); last.marks.push([a, z]); }
+      else windows.push({ from, to, marks: [[a, z]] });
+    });
+    windows.forEach(({ from, to, marks }) => {
+      let html = from > 0 ? "&hellip;" : ""; let at = from;
+      marks.forEach(([a, z]) => { html += escapeHtml(line.slice(at, a)) + `<mark>${escapeHtml(line.slice(a, z))}</mark>`; at = z; });
+      html += escapeHtml(line.slice(at, to)) + (to < line.length ? "&hellip;" : "");
+      regions.push(html);
+    });
+  }));
+  if(!regions.length){
+    // filters only (site:, has:, dates…): name the sections that matched
+    return result.sections.length ? `Sections: ${result.sections.map(b => escapeHtml(b.title||"Notes")).join(", ")}` : "";
+  }
+  const more = regions.length > SNIPPET_MAX_REGIONS ? `<div class="snippet-region">+${regions.length - SNIPPET_MAX_REGIONS} more</div>` : "";
+  return regions.slice(0, SNIPPET_MAX_REGIONS).map(r => `<div class="snippet-region">${r}</div>`).join("") + more;
+}
+
+// ---------- Search index (Web Worker, with an in-page fallback) ----------
+// Narrows a query to the notes whose tokens could match, so typing doesn't rescan every note body
+const searchIndex = (function(){
+  let worker = null, local = null, seq = 0;
+  const pending = new Map(); // seq -> { plan, resolve }
+
+  function useLocalIndex(){
+    if(local) return;
+    worker = null;
+    local = createSearchIndex();
+    notes.forEach(n => { if(n.status==="loaded") local.add(n.id, n.text); });
+    pending.forEach(({ plan, resolve }) => resolve(local.candidates(plan)));
+    pending.clear();
+  }
+
+  try {
+    worker = new Worker("search-worker.js");
+    worker.onmessage = (e)=>{
+      const msg = e.data || {};
+      const waiting = pending.get(msg.seq);
+      if(!waiting) return;
+      pending.delete(msg.seq);
+      waiting.resolve(msg.ids ? new Set(msg.ids) : null);
+    };
+    // file:// pages and strict CSPs refuse workers; fall back without losing queued queries
+    worker.onerror = (e)=>{ if(e && e.preventDefault) e.preventDefault(); useLocalIndex(); };
+  } catch(e){
+    useLocalIndex();
+  }
+
+  return {
+    add(id, text){ if(local) local.add(id, text); else worker.postMessage({ type: "add", id, text }); },
+    remove(id){ if(local) local.remove(id); else worker.postMessage({ type: "remove", id }); },
+    clear(){ if(local) local.clear(); else worker.postMessage({ type: "clear" }); },
+    // Set of candidate note ids, or null when the plan can't narrow anything down
+    query(plan){
+      if(!plan) return Promise.resolve(null);
+      if(local) return Promise.resolve(local.candidates(plan));
+      return new Promise(resolve => { const id = ++seq; pending.set(id, { plan, resolve }); worker.postMessage({ type: "query", seq: id, plan }); });
+    },
+  };
+})();
+
+// Index-friendly part of a query: plain terms under AND/OR. Regexes, NOT and filters are checked on the candidates.
+function candidatePlan(node){
+  if(node.type === "text") return node.value ? { type: "term", value: node.value } : null;
+  if(node.type === "and"){
+    const parts = node.nodes.map(candidatePlan).filter(Boolean);
+    return parts.length > 1 ? { type: "and", nodes: parts } : (parts[0] || null);
+  }
+  if(node.type === "or"){
+    const parts = node.nodes.map(candidatePlan);
+    return parts.some(p => !p) ? null : { type: "or", nodes: parts };
+  }
+  return null;
+}
+
 // ---------- UI: file list & note rendering ----------
-function renderFileList(){
+// The list is virtualized: every row has a fixed height and only the rows in view are in the DOM
+const FILE_ROW_HEIGHT = 96, FILE_ROW_HEIGHT_SEARCH = 168, FILE_LIST_OVERSCAN = 6;
+let fileListRows = [];         // [{ note, result }] for the current filter + search
+let fileListSearch = null;     // compiled search the rows were built with
+let fileListSeq = 0;
+let fileListRefreshTimer = null;
+
+function noteHeadings(n){
+  const titles = n.status==="loaded" ? n.blocks.map(b => b.title) : (n.headings || []);
+  return titles.filter(t => t && !/^power\s*cycle$/i.test(t.trim()) && !/^notes$/i.test(t.trim()));
+}
+
+async function renderFileList(){
+  const seq = ++fileListSeq;
   const filter = normalizeQuery(els.filenameFilter.value);
-  const globalQ = normalizeQuery(els.globalSearch.value);
-  const filtered = notes.filter(n => { if(!filter) return true; return n.filename.toLowerCase().includes(filter) || n.dateKey.toLowerCase().includes(filter); })
-    .map(n => ({ ...n, hits: globalQ ? countOccurrences(n.text.toLowerCase(), globalQ) : 0 }))
-    .filter(n => globalQ ? n.hits > 0 : true)
-    .sort((a,b)=> b.dateKey.localeCompare(a.dateKey));
-
-  els.fileList.innerHTML = filtered.map(n=>{
-    const active = n.id===activeNoteId ? "active" : "";
-    const subtitle = prettyDate(n.dateKey);
-    const hitsBadge = globalQ ? `<span class="badge">🔎 <span>${n.hits} hit${n.hits===1?"":"s"}</span></span>` : "";
-    const snippetHtml = globalQ ? `<div class="file-snippet small" style="margin-top:8px;color:var(--muted)">${snippetWithHighlight(n.text, globalQ)}</div>` : "";
-    return `<div class="file-item ${active}" role="listitem" data-id="${n.id}">
+  const search = searchFromInput(els.globalSearch, els.globalSearchMeta);
+  let pool = notes.filter(n => { if(!filter) return true; return n.filename.toLowerCase().includes(filter) || n.dateKey.toLowerCase().includes(filter); });
+
+  let rows;
+  if(search){
+    const candidates = await searchIndex.query(candidatePlan(search.ast));
+    if(seq !== fileListSeq) return; // a newer keystroke already took over
+    rows = pool.filter(n => n.status==="loaded" && (!candidates || candidates.has(n.id)))
+      .map(n => ({ note: n, result: searchNote(n, search) }))
+      .filter(r => r.result.sections.length > 0);
+  } else {
+    rows = pool.map(n => ({ note: n, result: null }));
+  }
+  fileListRows = rows.sort((a,b)=> b.note.dateKey.localeCompare(a.note.dateKey));
+  fileListSearch = search || null;
+  els.fileList.classList.toggle("searching", Boolean(search));
+  renderFileListWindow();
+
+  // a malformed query keeps the full list and leaves its error in the meta line
+  if(search === undefined) return;
+  const unloaded = notes.filter(n => n.status==="pending" || n.status==="loading").length;
+  const failed = notes.filter(n => n.status==="error").length;
+  const extra = [unloaded ? `${unloaded} loading` : "", failed ? `⚠️ ${failed} failed to load` : "", manifestError ? `imported only (${manifestError.message || manifestError})` : ""].concat(loadWarnings.map(w => `⚠️ ${w}`)).filter(Boolean).join(" • ");
+  const base = search ? `${fileListRows.length} note${fileListRows.length===1?"":"s"} matched` : `${notes.length} total note${notes.length===1?"":"s"}`;
+  els.globalSearchMeta.textContent = extra ? `${base} • ${extra}` : base;
+}
+
+function renderFileRow(row){
+  const n = row.note, search = fileListSearch;
+  const active = n.id===activeNoteId ? "active" : "";
+  const subtitle = prettyDate(n.dateKey);
+  const hitsLabel = !search ? "" : search.highlightRe ? `${row.result.hits} hit${row.result.hits===1?"":"s"}` : `${row.result.sections.length} section${row.result.sections.length===1?"":"s"}`;
+  const hitsBadge = search ? `<span class="badge">🔎 <span>${hitsLabel}</span></span>` : "";
+  const flagged = (n.problems || []).filter(p => p.severity!=="info").length;
+  const lintBadge = flagged ? `<span class="badge warn" title="See the Problems tab">⚠️ ${flagged} problem${flagged===1?"":"s"}</span>` : "";
+  const sharedDate = (notesByDateKey[n.dateKey] || []).length;
+  const sourceBadges = (n.source==="imported" ? `<span class="badge muted" title="Imported into this browser">📥 imported</span>` : "") +
+    (sharedDate > 1 ? `<span class="badge warn" title="Another report has the same date">⚠️ ${sharedDate} for this date</span>` : "");
+  const statusBadge = n.status==="error" ? `<span class="badge warn" title="${escapeHtml(n.error||"")}">⚠️ failed to load</span>` : (n.status==="loaded" ? "" : `<span class="badge muted">loading…</span>`);
+  if(search && row.snippetHtml === undefined) row.snippetHtml = snippetsWithHighlight(row.result, search);
+  const snippetHtml = search ? `<div class="file-snippet small" style="margin-top:8px;color:var(--muted)">${row.snippetHtml}</div>` : "";
+  const headings = noteHeadings(n);
+  const headingsHtml = !search && headings.length ? `<div class="file-headings">${escapeHtml(headings.join(" · "))}</div>` : "";
+  return `<div class="file-item ${active}" role="listitem" data-id="${escapeHtml(n.id)}">
       <div class="file-name">${escapeHtml(n.dateKey)}</div>
       <div class="file-sub">
         <span class="badge">📄 <span>${escapeHtml(n.filename)}</span></span>
         <span class="badge">🗓️ <span>${escapeHtml(subtitle)}</span></span>
-        ${hitsBadge}
+        ${hitsBadge}${statusBadge}${lintBadge}${sourceBadges}
       </div>
-      ${snippetHtml}
+      ${headingsHtml}${snippetHtml}
     </div>`;
-  }).join("");
+}
 
-  els.globalSearchMeta.textContent = globalQ ? `${filtered.length} note${filtered.length===1?"":"s"} matched` : `${notes.length} total note${notes.length===1?"":"s"}`;
+function renderFileListWindow(){
+  const rowH = fileListSearch ? FILE_ROW_HEIGHT_SEARCH : FILE_ROW_HEIGHT;
+  const viewH = els.fileList.clientHeight || 800;
+  const top = els.fileList.scrollTop;
+  const first = Math.max(0, Math.floor(top / rowH) - FILE_LIST_OVERSCAN);
+  const last = Math.min(fileListRows.length, Math.ceil((top + viewH) / rowH) + FILE_LIST_OVERSCAN);
+  els.fileList.innerHTML = `<div style="height:${first*rowH}px"></div>` +
+    fileListRows.slice(first, last).map(renderFileRow).join("") +
+    `<div style="height:${(fileListRows.length-last)*rowH}px"></div>`;
+}
 
-  els.fileList.querySelectorAll(".file-item").forEach(item => item.addEventListener("click", ()=>{
-    const id = item.getAttribute("data-id"); showView("notes"); setActiveNote(id);
-  }));
+// Coalesces the re-renders triggered by note bodies arriving in the background
+function scheduleFileListRefresh(){
+  if(fileListRefreshTimer) return;
+  fileListRefreshTimer = setTimeout(()=>{ fileListRefreshTimer = null; renderFileList(); }, 100);
 }
 
 function setActiveNote(id, targetSectionId=null){
@@ -185,134 +858,189 @@ function setActiveNote(id, targetSectionId=null){
   if(!note) return;
   activeNoteId = id;
   els.noteTitle.textContent = note.dateKey;
-  els.noteSubtitle.textContent = `${note.filename} • ${prettyDate(note.dateKey)}`;
-  els.inNoteSearch.disabled = false; els.inNoteSearch.value=""; els.inNoteMeta.textContent="";
+  els.noteSubtitle.textContent = `${note.filename} • ${prettyDate(note.dateKey)}${note.source==="imported" ? " • imported into this browser" : ""}`;
+  els.inNoteSearch.disabled = false; els.inNoteSearch.value=""; els.inNoteMeta.textContent=""; els.inNoteMeta.classList.remove("error");
+  if(els.editNoteBtn) els.editNoteBtn.disabled = note.status!=="loaded";
+  if(els.summarizeBtn) els.summarizeBtn.disabled = note.status!=="loaded";
+  els.removeImportBtn.classList.toggle("hidden", note.source!=="imported");
+  pendingSectionJump = targetSectionId;
+  const target = sectionOf(note, targetSectionId);
+  activeSectionSlug = target ? target.slug : targetSectionId;
+  renderActiveNote();
+  renderFileListWindow();
+  syncRoute();
+}
+
+// Finds a section of a note by its element id or by its link slug
+function sectionOf(note, idOrSlug){ return idOrSlug ? note.blocks.find(b => b.id===idOrSlug || b.slug===idOrSlug) || null : null; }
+
+// Renders the active note's body, or its loading / error state while the body isn't there yet
+function renderActiveNote(){
+  const note = notes.find(n=> n.id===activeNoteId);
+  if(!note) return;
+  if(note.status!=="loaded"){
+    els.noteContent.innerHTML = note.status==="error"
+      ? `<div class="empty-state"><p><strong>Could not load ${escapeHtml(note.filename)}.</strong></p><p class="small">${escapeHtml(note.error||"")}</p><p><button class="btn-small" type="button" data-retry="${escapeHtml(note.id)}">Retry</button></p></div>`
+      : `<div class="empty-state"><p>Loading ${escapeHtml(note.filename)}…</p></div>`;
+    if(note.status==="pending") ensureNoteBody(note);
+    return;
+  }
   // choose highlight behavior:
-  const inNoteQ = normalizeQuery(els.inNoteSearch.value);
-  const globalQ = normalizeQuery(els.globalSearch.value);
+  const inNoteQ = els.inNoteSearch.value.trim();
+  const globalQ = els.globalSearch.value.trim();
   const qToUse = inNoteQ || globalQ || "";
   if(qToUse){
     renderActiveNoteWithHighlight(qToUse);
   } else {
-    els.noteContent.innerHTML = renderBlocksToHtml(note.blocks);
+    els.noteContent.innerHTML = renderBlocksToHtml(note.blocks, note.problems);
     // clear any previously applied section highlights (in case)
     document.querySelectorAll(".section.highlight").forEach(s=>s.classList.remove("highlight"));
   }
-  if(targetSectionId) setTimeout(()=> jumpToSection(targetSectionId), 50);
-  renderFileList();
+  addSectionLinkButtons(note);
+  if(pendingSectionJump){ const target = sectionOf(note, pendingSectionJump); pendingSectionJump = null; if(target) setTimeout(()=> jumpToSection(target.id), 50); }
+}
+
+function addSectionLinkButtons(note){
+  note.blocks.forEach(b => {
+    const heading = document.getElementById(b.id)?.querySelector("h2");
+    if(heading) heading.insertAdjacentHTML("beforeend", ` <button class="copy-link" type="button" data-copy-section="${escapeHtml(b.slug)}" title="Copy a link to this section" aria-label="Copy a link to ${escapeHtml(b.title)}">🔗</button>`);
+  });
 }
 
-// Modified: when highlighting note, add .highlight to entire sections that contain the query
+function copySectionLink(button){
+  const note = notes.find(n => n.id===activeNoteId);
+  if(!note) return;
+  const url = `${location.href.split("#")[0]}${noteRouteHash(note, button.getAttribute("data-copy-section"))}`;
+  const done = ()=>{ button.textContent = "✓"; setTimeout(()=>{ button.textContent = "🔗"; }, 1500); };
+  if(navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(url).then(done, ()=> prompt("Copy this link:", url));
+  else prompt("Copy this link:", url);
+}
+
+// Modified: when highlighting note, add .highlight to entire sections that match the query
 function renderActiveNoteWithHighlight(query){
   const note = notes.find(n=> n.id===activeNoteId);
-  if(!note) return;
-  const q = normalizeQuery(query || "");
-  const baseHtml = renderBlocksToHtml(note.blocks);
-  // wrap matched words with <mark>
-  const highlightedHtml = q ? highlightHtml(baseHtml, q) : baseHtml;
-  els.noteContent.innerHTML = highlightedHtml;
+  if(!note || note.status!=="loaded") return;
+  let search = null, error = null;
+  try { search = compileSearch(query); }
+  catch(err){ if(!(err instanceof QuerySyntaxError)) throw err; error = err; }
+  const baseHtml = renderBlocksToHtml(note.blocks, note.problems);
+  // wrap matched terms with <mark>
+  els.noteContent.innerHTML = search ? highlightHtml(baseHtml, search.highlightRe) : baseHtml;
 
   // remove any section highlight classes first
   document.querySelectorAll(".section.highlight").forEach(s=> s.classList.remove("highlight"));
 
-  if(q){
-    // For each block in the parsed note, check if its combined text contains the query.
-    note.blocks.forEach((b) => {
-      // combine paragraphs and items into a single string for matching
-      const combined = (b.paragraphs || []).concat(b.items || []).join(" ").toLowerCase();
-      if(!combined) return;
-      if(combined.includes(q)){
-        // add highlight to the corresponding DOM element by id
-        const el = document.getElementById(b.id);
-        if(el) el.classList.add("highlight");
-      }
-    });
-  }
+  els.inNoteMeta.classList.toggle("error", Boolean(error));
+  if(!search){ els.inNoteMeta.textContent = error ? `Query error: ${error.message}` : ""; return; }
+
+  // add highlight to the DOM element of every section that matched
+  const result = searchNote(note, search);
+  result.sections.forEach(b => { const el = document.getElementById(b.id); if(el) el.classList.add("highlight"); });
 
   // update meta using the query used
-  const hits = q ? countOccurrences(note.text.toLowerCase(), q) : 0;
-  els.inNoteMeta.textContent = q ? `${hits} hit${hits===1?"":"s"}` : "";
+  els.inNoteMeta.textContent = search.highlightRe ? `${result.hits} hit${result.hits===1?"":"s"}` : `${result.sections.length} section${result.sections.length===1?"":"s"}`;
 }
 
-// ---------- Build generator index (HEADINGS only) & power cycles ----------
-function buildGeneratorsAndPowerCycles(){
-  generatorsIndex = {}; generatorsDisplay = {}; powerCyclesMap = {};
-  const reserved = new Set(["power cycle","powercycle"]);
-  notes.forEach(n=>{
-    n.blocks.forEach(b=>{
-      if(!b.title) return;
-      const titleTrim = b.title.trim();
-      const lower = titleTrim.toLowerCase();
-      if(reserved.has(lower)) return; // skip Power Cycle
-      const genKey = normalizeNameKey(titleTrim);
-      if(!genKey) return;
-      if(!generatorsDisplay[genKey]) generatorsDisplay[genKey] = titleTrim;
-      if(!generatorsIndex[genKey]) generatorsIndex[genKey] = [];
-      generatorsIndex[genKey].push({
-        noteId: n.id, filename: n.filename, dateKey: n.dateKey, sectionId: b.id, snippet: snippetFromSection(b)
-      });
-    });
-    n.blocks.forEach(b=>{
-      if(!b.title) return;
-      if(/^power\s*cycle$/i.test(b.title.trim())){
-        (b.items||[]).forEach(itemRaw=>{
-          const item = String(itemRaw||"").trim();
-          if(!item) return;
-          const key = normalizeNameKey(item);
-          if(!powerCyclesMap[key]) powerCyclesMap[key]=[];
-          powerCyclesMap[key].push({ dateKey: n.dateKey, noteId: n.id, filename: n.filename, raw: item });
-        });
-      }
-    });
-  });
-  Object.keys(generatorsIndex).forEach(k => generatorsIndex[k].sort((a,b)=> b.dateKey.localeCompare(a.dateKey)));
-  Object.keys(powerCyclesMap).forEach(k => powerCyclesMap[k].sort((a,b)=> b.dateKey.localeCompare(a.dateKey)));
-}
+// ---------- Site / generator registry (sites.json) ----------
+let siteRegistry = createSiteRegistry(null);
 
-function snippetFromSection(section){ const all = [].concat(section.paragraphs||[]).concat(section.items||[]); if(!all.length) return ""; const s = String(all[0]).slice(0,140); return s + (String(all[0]).length>140?"…":""); }
+function siteForHeading(title){ return PowerCycleCore.siteForHeading(siteRegistry, title); }
+function searchNote(note, search){ return PowerCycleCore.searchNote(note, search, siteRegistry); }
 
-// ---------- find power cycles for genKey ----------
-function findPowerCyclesForGeneratorKey(genKey){
-  const matches=[];
-  if(powerCyclesMap[genKey]) matches.push(...powerCyclesMap[genKey]);
-  if(!matches.length){
-    for(const k of Object.keys(powerCyclesMap)){
-      if(!k) continue;
-      if(k.includes(genKey) || genKey.includes(k)) matches.push(...powerCyclesMap[k]);
-    }
+async function loadSiteRegistry(){
+  try {
+    const res = await fetch("./sites.json", { cache: "no-store" });
+    if(!res.ok) throw new Error(`HTTP ${res.status}`);
+    siteRegistry = createSiteRegistry(await res.json());
+  } catch(err){
+    addLoadWarning(`sites.json didn't load, so no site is matched (${err.message || err})`);
+    siteRegistry = createSiteRegistry(null);
   }
-  const seen = new Set(); const out=[];
-  for(const p of matches){ if(seen.has(p.dateKey)) continue; seen.add(p.dateKey); out.push(p); }
-  out.sort((a,b)=> b.dateKey.localeCompare(a.dateKey)); return out;
 }
 
+async function saveSiteRegistry(data){
+  const result = await noteStorage.saveSites(data);
+  if(result.error){ alert(`Could not save sites.json: ${result.error}`); return false; }
+  siteRegistry = createSiteRegistry(data);
+  lintLoadedNotes();
+  return true;
+}
+
+// ---------- Build generator index (HEADINGS only) & power cycles ----------
+function buildGeneratorsAndPowerCycles(){
+  ({ generatorsIndex, generatorsDisplay, generatorsInfo, powerCyclesMap, needsMapping } = buildGeneratorIndex(notes, siteRegistry));
+  issueThreads = buildIssueThreads(notes, siteRegistry, powerCyclesMap);
+}
+
+function findPowerCyclesForGeneratorKey(genKey){ return findPowerCycles({ generatorsInfo, powerCyclesMap }, genKey); }
+
 // ---------- Generators UI ----------
 function renderGeneratorsView(){
   buildGeneratorsAndPowerCycles();
+  renderNeedsMapping();
+  renderChronicIssues();
   const items = Object.keys(generatorsIndex).map(k=>({key:k, display: generatorsDisplay[k] || k})).sort((a,b)=> a.display.localeCompare(b.display));
   if(items.length===0){ els.generatorsEmpty.classList.remove("hidden"); els.generatorList.innerHTML=""; els.generatorMentions.classList.add("hidden"); return; }
   els.generatorsEmpty.classList.add("hidden"); els.generatorMentions.classList.add("hidden");
   els.generatorList.innerHTML = items.map(({key,display})=>{
     const count = generatorsIndex[key].length; const powerCycles = findPowerCyclesForGeneratorKey(key); const pcCount = powerCycles.length;
     const pcBadge = pcCount ? `<span class="badge">⚡ ${pcCount}</span>` : "";
+    const info = generatorsInfo[key]; const site = info && info.siteId ? siteRegistry.byId[info.siteId] : null;
+    const siteMeta = site ? [site.customer && site.customer!==site.name ? site.customer : "", site.location].filter(Boolean).join(" • ") : "";
+    const mapBadge = info && !info.matched ? `<span class="badge warn">needs mapping</span>` : "";
     return `<div class="generator-card" data-genkey="${escapeHtml(key)}">
-      <div><div class="gen-name">${escapeHtml(display)}</div>
-      <div class="meta" style="margin-top:6px;color:var(--muted);font-size:12px">${count} mention${count===1?"":"s"} ${pcBadge? '• '+pcBadge : ''}</div></div>
+      <div><div class="gen-name">${escapeHtml(display)} ${mapBadge}</div>
+      <div class="meta" style="margin-top:6px;color:var(--muted);font-size:12px">${siteMeta ? escapeHtml(siteMeta)+" • " : ""}${count} mention${count===1?"":"s"} ${pcBadge? '• '+pcBadge : ''}</div></div>
       <div class="badge">${count} mention${count===1?"":"s"}</div>
     </div>`;
   }).join("");
   els.generatorList.querySelectorAll(".generator-card").forEach(el=> el.addEventListener("click", ()=> {
     const key = el.getAttribute("data-genkey"); showGeneratorMentionsByKey(key);
   }));
+  if(activeGeneratorKey) showGeneratorMentionsByKey(activeGeneratorKey);
+}
+
+function renderNeedsMapping(){
+  if(!needsMapping.length){ els.needsMapping.classList.add("hidden"); els.needsMapping.innerHTML=""; return; }
+  const options = siteRegistry.sites.slice().sort((a,b)=> a.name.localeCompare(b.name))
+    .map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join("");
+  els.needsMapping.innerHTML = `<h3 style="margin:0 0 8px 0">Needs mapping <span class="badge warn">${needsMapping.length}</span></h3>
+    <div class="meta" style="margin:0 0 10px 0">These names don't match a site in <code>sites.json</code>. Map them to a site, or add them as a new one.</div>` +
+    needsMapping.map((u, i)=>{
+      const why = u.resolution.site ? `unknown generator${u.resolution.unknownGenerators.length===1?"":"s"} ${u.resolution.unknownGenerators.join(", ")} at ${u.resolution.site.name}` : u.source;
+      return `<div class="mapping-row" data-index="${i}">
+        <div class="mapping-name"><a href="#" class="mapping-open">${escapeHtml(u.raw)}</a>
+          <div class="meta" style="margin-top:2px">${escapeHtml(why)} • ${escapeHtml(u.dateKeys.sort().join(", "))}</div></div>
+        <select class="input select mapping-site" aria-label="Site for ${escapeHtml(u.raw)}">
+          <option value="">➕ New site “${escapeHtml(u.resolution.sitePart)}”</option>${options}
+        </select>
+        <button class="btn-small primary mapping-save" type="button">Map</button>
+      </div>`;
+    }).join("");
+  els.needsMapping.classList.remove("hidden");
+  els.needsMapping.querySelectorAll(".mapping-row").forEach(row=>{
+    const u = needsMapping[Number(row.getAttribute("data-index"))];
+    if(u.resolution.site) row.querySelector(".mapping-site").value = u.resolution.site.id;
+    row.querySelector(".mapping-open").addEventListener("click", e=>{ e.preventDefault(); openNote(u.noteId, u.sectionId); });
+    row.querySelector(".mapping-save").addEventListener("click", async ()=>{
+      const siteId = row.querySelector(".mapping-site").value;
+      if(!(await saveSiteRegistry(addMappingToRegistryData(siteRegistry.data, u.resolution, siteId)))) return;
+      renderGeneratorsView();
+    });
+  });
 }
 
 function showGeneratorMentionsByKey(genKey){
+  activeGeneratorKey = genKey;
+  syncRoute();
   const mentions = generatorsIndex[genKey] || []; const powerCycles = findPowerCyclesForGeneratorKey(genKey);
   const display = generatorsDisplay[genKey] || genKey;
-  if(!mentions.length && !powerCycles.length) return;
+  const threads = issueThreadsForGenerator(genKey);
+  if(!mentions.length && !powerCycles.length && !threads.length) return;
+  const threadsHtml = threads.length ? `<h3 style="margin:6px 0 8px 0">Issue threads</h3>${threads.map(issueThreadHtml).join("")}` : "";
   let mentionsHtml = "";
   if(mentions.length){
-    mentionsHtml = `<h2 style="margin-top:0">${escapeHtml(display)}</h2>` + mentions.map(m=>{
+    mentionsHtml = (threads.length ? `<h3 style="margin:12px 0 8px 0">Mentions</h3>` : "") + mentions.map(m=>{
       const when = prettyDate(m.dateKey); const sectionLabel = m.sectionId ? "Section" : "Inline";
       return `<div class="mention-item" data-noteid="${m.noteId}" data-section="${m.sectionId || ""}">
         <div><strong>${escapeHtml(m.filename)}</strong> • <span class="meta">${escapeHtml(when)} • ${sectionLabel}</span></div>
@@ -331,54 +1059,831 @@ function showGeneratorMentionsByKey(genKey){
   } else {
     powerHtml = `<div style="margin-top:12px"><h3 style="margin:6px 0 8px 0">Power cycles</h3><div class="empty-state small" style="padding:10px;border-radius:8px">No power cycles recorded for this generator.</div></div>`;
   }
-  els.generatorMentions.innerHTML = `${mentionsHtml}${powerHtml}`; els.generatorMentions.classList.remove("hidden");
-  els.generatorMentions.querySelectorAll(".mention-item").forEach(el=>{ el.addEventListener("click", ()=>{ const noteId = el.getAttribute("data-noteid"); const section = el.getAttribute("data-section") || null; showView("notes"); setActiveNote(noteId, section); }); });
-  els.generatorMentions.querySelectorAll(".power-date").forEach(el=>{ el.addEventListener("click", ()=>{ const noteId = el.getAttribute("data-noteid"); showView("notes"); setActiveNote(noteId); }); });
+  els.generatorMentions.innerHTML = `<h2 style="margin-top:0">${escapeHtml(display)}</h2>${threadsHtml}${mentionsHtml}${powerHtml}`; els.generatorMentions.classList.remove("hidden");
+  els.generatorMentions.querySelectorAll(".mention-item").forEach(el=>{ el.addEventListener("click", ()=>{ const noteId = el.getAttribute("data-noteid"); const section = el.getAttribute("data-section") || null; openNote(noteId, section); }); });
+  els.generatorMentions.querySelectorAll(".issue-mentions [data-noteid]").forEach(el=>{ el.addEventListener("click", ()=> openNote(el.getAttribute("data-noteid"), el.getAttribute("data-section") || null)); });
+  els.generatorMentions.querySelectorAll(".power-date").forEach(el=>{ el.addEventListener("click", ()=>{ const noteId = el.getAttribute("data-noteid"); openNote(noteId); }); });
+}
+
+// ---------- Recurring issues (threads in the generator panel, chronic issues list) ----------
+const CHRONIC_ISSUES_SHOWN = 10;
+
+// Threads are per site, so generator "ORD1 · Gen 7" shows ORD1's threads
+function siteKeyForGenerator(genKey){ const info = generatorsInfo[genKey]; return info && info.siteId ? info.siteId : genKey; }
+function generatorKeyForSite(siteKey){ return Object.keys(generatorsIndex).find(k => siteKeyForGenerator(k)===siteKey) || null; }
+
+function issueThreadBadges(t){
+  const status = t.ongoing ? `<span class="badge warn">ongoing</span>` : t.resolved ? `<span class="badge success">resolved</span>` : `<span class="badge muted">ended</span>`;
+  const cycle = t.powerCycle ? `<span class="badge" title="Power cycle logged ${escapeHtml(t.powerCycle.dateKey)}">⚡ ended near a power cycle</span>` : "";
+  return status + cycle;
+}
+
+function issueThreadSpan(t){
+  const span = t.firstDateKey===t.lastDateKey ? t.firstDateKey : `${t.firstDateKey} → ${t.lastDateKey}`;
+  const mentioned = t.mentionedIn < t.meetings ? ` (mentioned in ${t.mentionedIn})` : "";
+  return `${span} • ${t.meetings} meeting${t.meetings===1?"":"s"}${mentioned}`;
+}
+
+function issueThreadHtml(t){
+  return `<div class="issue-thread" data-thread="${escapeHtml(t.key)}">
+    <div><strong>${escapeHtml(t.title.length > 90 ? t.title.slice(0, 90) + "…" : t.title)}</strong> ${issueThreadBadges(t)}</div>
+    <div class="meta">${escapeHtml(issueThreadSpan(t))}</div>
+    <ul class="issue-mentions">${t.mentions.map(m => `<li data-noteid="${escapeHtml(m.noteId)}" data-section="${escapeHtml(m.sectionId || "")}"><span class="meta">${escapeHtml(m.dateKey)}</span> ${escapeHtml(stripTags(m.text))}</li>`).join("")}</ul>
+  </div>`;
+}
+
+// Category threads always show; a thread of similar wording only once it has come back in another meeting
+function issueThreadsForGenerator(genKey){
+  const siteKey = siteKeyForGenerator(genKey);
+  return issueThreads.filter(t => t.siteKey===siteKey && (t.category || t.mentionedIn > 1));
+}
+
+function renderChronicIssues(){
+  const chronic = issueThreads.filter(t => t.mentionedIn > 1).slice(0, CHRONIC_ISSUES_SHOWN);
+  els.chronicIssues.classList.toggle("hidden", !chronic.length);
+  els.chronicIssues.innerHTML = !chronic.length ? "" : `<h3 style="margin:0 0 8px 0">Chronic issues</h3>
+    <div class="meta" style="margin:0 0 10px 0">Issues that keep coming back, longest-running first.</div>` +
+    chronic.map((t, i) => `<div class="offender-row chronic-row" data-thread="${escapeHtml(t.key)}" data-site="${escapeHtml(t.siteKey)}" title="Show this site's issue threads">
+      <span class="offender-rank">${i+1}</span>
+      <div class="offender-name">${escapeHtml(t.site)}: ${escapeHtml(t.title.length > 70 ? t.title.slice(0, 70) + "…" : t.title)}
+        <div class="meta" style="margin-top:2px">${escapeHtml(issueThreadSpan(t))}</div></div>
+      ${issueThreadBadges(t)}
+    </div>`).join("");
+}
+
+function showIssueThread(siteKey, threadKey){
+  const genKey = generatorKeyForSite(siteKey);
+  if(!genKey) return;
+  showGeneratorMentionsByKey(genKey);
+  const el = [...els.generatorMentions.querySelectorAll(".issue-thread")].find(e => e.getAttribute("data-thread")===threadKey);
+  if(!el) return;
+  el.classList.add("highlight"); el.scrollIntoView({ behavior: "smooth", block: "center" });
+  setTimeout(()=> el.classList.remove("highlight"), 2400);
+}
+
+// ---------- Action items (commitments found in bullets) ----------
+// Walks notes oldest → newest; an item stays open (carried over) until a note marks it [x]
+function collectActionItems(noteList){
+  const byKey = {};
+  const ordered = noteList.slice().sort((a,b)=> a.dateKey.localeCompare(b.dateKey));
+  const owners = actionOwners(noteList);
+  ordered.forEach(n=>{
+    n.blocks.forEach(b=>{
+      if(/^power\s*cycle$/i.test((b.title||"").trim())) return;
+      const { key: siteKey, name: site } = siteForHeading(b.title);
+      (b.items||[]).forEach(raw=>{
+        const parsed = parseActionItem(raw, owners);
+        if(!parsed) return;
+        const key = `${siteKey}|${normalizeNameKey(parsed.text)}`;
+        let item = byKey[key];
+        if(!item){
+          item = byKey[key] = { key, text: parsed.text, owner: null, site, siteKey, firstDateKey: n.dateKey, mentions: 0, done: false, doneDateKey: null };
+        }
+        item.mentions++;
+        item.owner = parsed.owner || item.owner;
+        item.lastDateKey = n.dateKey; item.noteId = n.id; item.sectionId = b.id;
+        if(parsed.done){ if(!item.done){ item.done = true; item.doneDateKey = n.dateKey; } }
+        else if(parsed.explicit || !item.done){ item.done = false; item.doneDateKey = null; }
+      });
+    });
+  });
+  // meetings an item has been on the books: from first mention up to when it was closed (or the latest note)
+  const dateKeys = ordered.map(n => n.dateKey);
+  return Object.values(byKey).map(item => {
+    const until = item.doneDateKey || dateKeys[dateKeys.length-1];
+    return { ...item, meetings: dateKeys.filter(d => d >= item.firstDateKey && d <= until).length };
+  }).sort((a,b)=> (a.done - b.done) || a.firstDateKey.localeCompare(b.firstDateKey) || a.site.localeCompare(b.site));
+}
+
+function fillSelect(select, values, allLabel){
+  const current = select.value;
+  select.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>` + values.map(v => `<option value="${escapeHtml(v.value)}">${escapeHtml(v.label)}</option>`).join("");
+  if(values.some(v => v.value===current)) select.value = current;
+}
+
+function renderActionItemsView(){
+  actionItems = collectActionItems(notes);
+  const owners = [...new Set(actionItems.map(i => i.owner).filter(Boolean))].sort((a,b)=> a.localeCompare(b));
+  const sites = {}; actionItems.forEach(i => { if(!sites[i.siteKey]) sites[i.siteKey] = i.site; });
+  fillSelect(els.actionOwnerFilter, [{ value: "-", label: "Unassigned" }].concat(owners.map(o => ({ value: o, label: `@${o}` }))), "All owners");
+  fillSelect(els.actionSiteFilter, Object.keys(sites).map(k => ({ value: k, label: sites[k] })).sort((a,b)=> a.label.localeCompare(b.label)), "All sites");
+
+  const owner = els.actionOwnerFilter.value, site = els.actionSiteFilter.value, status = els.actionStatusFilter.value;
+  const visible = actionItems.filter(i =>
+    (!owner || (owner==="-" ? !i.owner : i.owner===owner)) &&
+    (!site || i.siteKey===site) &&
+    (status==="all" || (status==="done" ? i.done : !i.done)));
+
+  els.actionsEmpty.classList.toggle("hidden", actionItems.length > 0);
+  const openCount = actionItems.filter(i => !i.done).length;
+  els.actionsMeta.textContent = actionItems.length ? `${visible.length} shown • ${openCount} open • ${actionItems.length - openCount} done` : "";
+  els.actionList.innerHTML = visible.map(i=>{
+    const ownerBadge = i.owner ? `<span class="badge">@${escapeHtml(i.owner)}</span>` : `<span class="badge muted">unassigned</span>`;
+    const carried = !i.done && i.meetings > 1 ? `<span class="badge">↻ ${i.meetings} meetings</span>` : "";
+    const doneBadge = i.done ? `<span class="badge success">✓ ${escapeHtml(i.doneDateKey)}</span>` : "";
+    return `<div class="action-item ${i.done ? "done" : ""}" data-noteid="${escapeHtml(i.noteId)}" data-section="${escapeHtml(i.sectionId)}">
+      <span class="action-check" aria-hidden="true">${i.done ? "☑" : "☐"}</span>
+      <div class="action-body">
+        <div class="action-text">${escapeHtml(i.text)}</div>
+        <div class="file-sub">${ownerBadge}<span class="badge">📍 ${escapeHtml(i.site)}</span><span class="badge">🗓️ since ${escapeHtml(i.firstDateKey)}</span>${carried}${doneBadge}</div>
+      </div>
+    </div>`;
+  }).join("");
+  els.actionList.querySelectorAll(".action-item").forEach(el => el.addEventListener("click", ()=> openNote(el.getAttribute("data-noteid"), el.getAttribute("data-section") || null)));
+}
+
+// ---------- Note linter ----------
+// Each rule looks at one parsed note and returns problems: { blockId, line, message }.
+// Add a rule by pushing { id, severity: "error"|"warning"|"info", title, check(note, ctx) } onto LINT_RULES.
+const LINT_SEVERITIES = ["error","warning","info"];
+const IP_LIKE_RE = /\b\d{1,3}(?:[.:]\d{1,3}){3}\b/g;
+const SLASH_DATE_RE = /(?<![\d/])(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?(?![\d/])/g;
+const ISO_DATE_RE = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g;
+let lintTemplate = { requiredSections: ["Power Cycle"] }; // filled from template.txt by loadLintTemplate()
+
+function isValidDate(y, m, d){ const dt = new Date(Date.UTC(y, m-1, d)); return m>=1 && m<=12 && dt.getUTCMonth()===m-1 && dt.getUTCDate()===d; }
+
+// every bullet/paragraph of every section, with the section it sits in
+function lintLines(note){ return note.blocks.flatMap(b => (b.sourceLines||[]).map(l => ({ block: b, ...l }))); }
+
+const LINT_RULES = [
+  { id: "required-section", severity: "warning", title: "Missing required section",
+    check(note, ctx){
+      const titles = new Set(note.blocks.map(b => normalizeNameKey(b.title)));
+      const out = ctx.template.requiredSections.filter(t => !titles.has(normalizeNameKey(t))).map(t => ({ blockId: null, line: null, message: `No “${t}:” section (template.txt has one).` }));
+      if(!note.blocks.some(b => b.line && !isPowerCycleTitle(b.title))) out.push({ blockId: null, line: null, message: "No site sections; each site discussed should get its own heading." });
+      return out;
+    } },
+  // sections template.txt has are left in on quiet weeks (a new log starts with them empty)
+  { id: "empty-section", severity: "warning", title: "Empty section",
+    check(note, ctx){
+      const required = new Set(ctx.template.requiredSections.map(normalizeNameKey));
+      return note.blocks.filter(b => b.line && !b.items.length && !b.paragraphs.length && !required.has(normalizeNameKey(b.title)))
+        .map(b => ({ blockId: b.id, line: b.line, message: `“${b.title}” has no notes under it.` }));
+    } },
+  { id: "unknown-site", severity: "warning", title: "Unknown site",
+    check(note, ctx){
+      const out = [];
+      note.blocks.forEach(b => {
+        if(!b.line) return;
+        if(isPowerCycleTitle(b.title)){
+          b.sourceLines.filter(l => l.kind==="item" && !l.depth).forEach(l => {
+            if(!resolveSiteName(ctx.registry, stripTags(l.text)).site) out.push({ blockId: b.id, line: l.line, message: `Power cycle “${l.text}” doesn't match a site in sites.json.` });
+          });
+          return;
+        }
+        const res = resolveSiteName(ctx.registry, b.title);
+        if(!res.site) out.push({ blockId: b.id, line: b.line, message: `Heading “${b.title}” doesn't match a site in sites.json.` });
+        else if(res.unknownGenerators.length) out.push({ blockId: b.id, line: b.line, message: `${res.site.name} has no generator ${res.unknownGenerators.map(g => `“${g}”`).join(", ")} in sites.json.` });
+      });
+      return out;
+    } },
+  { id: "malformed-ip", severity: "error", title: "Malformed IP address",
+    check(note){
+      const out = [];
+      lintLines(note).forEach(l => (l.text.match(IP_LIKE_RE) || []).forEach(ip => {
+        const parts = ip.split(/[.:]/);
+        if(ip.includes(":")) out.push({ blockId: l.block.id, line: l.line, message: `“${ip}” looks like an IP address with “:” separators; did you mean ${parts.join(".")}?` });
+        else if(parts.some(p => Number(p) > 255)) out.push({ blockId: l.block.id, line: l.line, message: `“${ip}” is not a valid IP address (octets go up to 255).` });
+      }));
+      return out;
+    } },
+  { id: "malformed-date", severity: "error", title: "Malformed date",
+    check(note){
+      const out = [];
+      lintLines(note).forEach(l => {
+        for(const m of l.text.matchAll(SLASH_DATE_RE)){
+          // without a year only month/day-shaped values count: "24/7" is a ratio, "2/30" a typo
+          if(!m[3] && (Number(m[1]) > 12 || Number(m[2]) > 31 || Number(m[1]) < 1 || Number(m[2]) < 1)) continue;
+          const year = m[3] ? (m[3].length===2 ? 2000 + Number(m[3]) : Number(m[3])) : 2000; // 2000 is a leap year, so 2/29 passes without a year
+          if(!isValidDate(year, Number(m[1]), Number(m[2]))) out.push({ blockId: l.block.id, line: l.line, message: `“${m[0]}” is not a valid month/day date.` });
+        }
+        for(const m of l.text.matchAll(ISO_DATE_RE)){
+          if(!isValidDate(Number(m[1]), Number(m[2]), Number(m[3]))) out.push({ blockId: l.block.id, line: l.line, message: `“${m[0]}” is not a valid date.` });
+        }
+      });
+      return out;
+    } },
+  { id: "duplicate-heading", severity: "warning", title: "Duplicate heading",
+    check(note){
+      const seen = {};
+      return note.blocks.filter(b => b.line).map(b => {
+        const key = normalizeNameKey(b.title);
+        if(!seen[key]){ seen[key] = b; return null; }
+        return { blockId: b.id, line: b.line, message: `“${b.title}” already appears on line ${seen[key].line}; merge the two sections.` };
+      }).filter(Boolean);
+    } },
+  { id: "power-cycle-format", severity: "warning", title: "Non-bullet line under Power Cycle",
+    check(note){
+      return note.blocks.filter(b => isPowerCycleTitle(b.title)).flatMap(b => b.sourceLines.filter(l => l.kind==="paragraph").map(l => ({ blockId: b.id, line: l.line,
+        message: `“${l.text}” isn't a bullet; start power cycle lines with “- ”.` })));
+    } },
+  { id: "heading-format", severity: "info", title: "Heading formatting",
+    check(note){
+      const out = [];
+      note.blocks.filter(b => b.line).forEach(b => {
+        const raw = String(b.rawTitle || "");
+        if(/\s+:\s*$/.test(raw) || /\s{2,}/.test(raw.trim()) || /\S-\s|\s-\S/.test(b.title)) out.push({ blockId: b.id, line: b.line, message: `Stray spacing in heading “${b.title}”.` });
+        // the parser treats any line ending in ":" as a heading, so a sentence can split a section by accident
+        if(b.title.split(/\s+/).length > 8 || /[.!?]\s/.test(b.title)) out.push({ blockId: b.id, line: b.line, message: `“${b.title}:” reads like a sentence but was parsed as a heading.` });
+      });
+      return out;
+    } },
+];
+
+function lintNote(note, ctx = { template: lintTemplate, registry: siteRegistry }){
+  return LINT_RULES.flatMap(rule => rule.check(note, ctx).map(p => ({ ...p, rule: rule.id, severity: rule.severity, noteId: note.id })))
+    .sort((a,b)=> (a.line ?? 0) - (b.line ?? 0) || LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity));
+}
+
+function lintLoadedNotes(){ notes.forEach(n => { if(n.status==="loaded") n.problems = lintNote(n); }); }
+
+// Required sections are the template's headings, minus the "site 1:" placeholders
+async function loadLintTemplate(){
+  try {
+    const titles = parseNoteToBlocks(await fetchTemplateText(), "template.txt").filter(b => b.line).map(b => b.title.trim());
+    lintTemplate = { requiredSections: titles };
+  } catch(err){
+    addLoadWarning(`template.txt didn't load, so the linter only requires “Power Cycle” (${err.message || err})`);
+  }
+}
+
+function lintIcon(severity){ return severity==="error" ? "⛔" : severity==="warning" ? "⚠️" : "ℹ️"; }
+
+function lintListHtml(problems){
+  if(!problems || !problems.length) return "";
+  return `<ul class="lint-list">${problems.map(p => `<li class="lint-item ${p.severity}" title="${escapeHtml(p.rule)}">${lintIcon(p.severity)} ${p.line ? `<span class="lint-line">line ${p.line}</span> ` : ""}${escapeHtml(p.message)}</li>`).join("")}</ul>`;
+}
+
+function renderProblemsView(){
+  const loaded = notes.filter(n => n.status==="loaded");
+  const all = loaded.flatMap(n => (n.problems || []).map(p => ({ ...p, note: n })));
+  fillSelect(els.problemRuleFilter, LINT_RULES.filter(r => all.some(p => p.rule===r.id)).map(r => ({ value: r.id, label: r.title })), "All rules");
+  const severity = els.problemSeverityFilter.value, rule = els.problemRuleFilter.value;
+  const visible = all.filter(p => (!severity || LINT_SEVERITIES.indexOf(p.severity) <= LINT_SEVERITIES.indexOf(severity)) && (!rule || p.rule===rule));
+  const counts = LINT_SEVERITIES.map(s => { const c = all.filter(p => p.severity===s).length; return c ? `${c} ${s==="info" ? "info" : s + (c===1?"":"s")}` : ""; }).filter(Boolean);
+  const pending = notes.length - loaded.length;
+  els.problemsMeta.textContent = [counts.length ? counts.join(" • ") : "No problems", pending ? `${pending} note${pending===1?"":"s"} not checked yet` : ""].filter(Boolean).join(" • ");
+  els.problemsEmpty.classList.toggle("hidden", visible.length > 0);
+
+  const byNote = {};
+  visible.forEach(p => { (byNote[p.note.id] = byNote[p.note.id] || []).push(p); });
+  els.problemList.innerHTML = loaded.filter(n => byNote[n.id]).map(n => `<div class="problem-group">
+      <h3 style="margin:0 0 6px 0">${escapeHtml(n.dateKey)} <span class="meta">${escapeHtml(n.filename)}</span></h3>
+      ${byNote[n.id].map(p => {
+        const block = n.blocks.find(b => b.id===p.blockId);
+        return `<div class="problem-item ${p.severity}" data-noteid="${escapeHtml(n.id)}" data-section="${escapeHtml(p.blockId || "")}">
+          <span class="lint-icon" aria-label="${p.severity}">${lintIcon(p.severity)}</span>
+          <div><div>${escapeHtml(p.message)}</div>
+          <div class="meta" style="margin-top:2px">${block ? `${escapeHtml(block.title)} • ` : ""}${p.line ? `line ${p.line} • ` : ""}${escapeHtml(p.rule)}</div></div>
+        </div>`;
+      }).join("")}
+    </div>`).join("");
+}
+
+// ---------- Power cycle timeline & calendar ----------
+// One entry per site with its cycle dates inside [from, to] (either may be "") and the interval stats
+function powerCycleStats(cyclesMap, from, to, today = localISODateString()){
+  return Object.keys(cyclesMap).map(key=>{
+    const cycles = cyclesMap[key].filter(p => (!from || p.dateKey >= from) && (!to || p.dateKey <= to));
+    if(!cycles.length) return null;
+    const site = siteRegistry.byId[key];
+    const byDate = {};
+    cycles.forEach(p => { (byDate[p.dateKey] = byDate[p.dateKey] || []).push(p); });
+    const dates = Object.keys(byDate).sort();
+    const intervals = dates.slice(1).map((d,i)=> dayNumber(d) - dayNumber(dates[i]));
+    const meanInterval = intervals.length ? intervals.reduce((a,b)=> a+b, 0) / intervals.length : null;
+    // compare the latest gap with the ones before it: shorter means the site is being cycled more often
+    const earlier = intervals.slice(0,-1);
+    const earlierMean = earlier.length ? earlier.reduce((a,b)=> a+b, 0) / earlier.length : null;
+    const last = intervals[intervals.length-1];
+    const trend = earlierMean===null ? 0 : last < earlierMean ? 1 : last > earlierMean ? -1 : 0;
+    return { key, name: site ? site.name : cycles[0].raw, matched: Boolean(site), count: cycles.length, dates, byDate,
+      meanInterval, trend, lastDateKey: dates[dates.length-1], daysSinceLast: dayNumber(today) - dayNumber(dates[dates.length-1]) };
+  }).filter(Boolean).sort((a,b)=> (b.count - a.count) || ((a.meanInterval ?? Infinity) - (b.meanInterval ?? Infinity)) || b.lastDateKey.localeCompare(a.lastDateKey) || a.name.localeCompare(b.name));
+}
+
+function formatDays(n){ return n===null ? "—" : `${Math.round(n)} day${Math.round(n)===1?"":"s"}`; }
+
+function cycleMarkAttrs(entries){
+  const p = entries[0];
+  return `data-noteid="${escapeHtml(p.noteId)}" data-section="${escapeHtml(p.sectionId || "")}"`;
+}
+
+function renderPowerCyclesView(){
+  buildGeneratorsAndPowerCycles();
+  const from = els.cyclesFrom.value, to = els.cyclesTo.value, today = localISODateString();
+  const stats = powerCycleStats(powerCyclesMap, from, to, today);
+  const anyCycles = Object.keys(powerCyclesMap).length > 0;
+  els.cyclesEmpty.classList.toggle("hidden", anyCycles);
+  if(!stats.length){
+    els.cyclesMeta.textContent = anyCycles ? "No power cycles in this date range." : "";
+    [els.cyclesStats, els.cyclesOffenders, els.cyclesTimeline, els.cyclesHeatmap].forEach(el => el.innerHTML = "");
+    return;
+  }
+
+  const allDates = [...new Set(stats.flatMap(s => s.dates))].sort();
+  const start = from || allDates[0], end = to || (today > allDates[allDates.length-1] ? today : allDates[allDates.length-1]);
+  const total = stats.reduce((a,s)=> a + s.count, 0);
+  const intervals = stats.filter(s => s.meanInterval!==null);
+  const meanInterval = intervals.length ? intervals.reduce((a,s)=> a + s.meanInterval, 0) / intervals.length : null;
+  els.cyclesMeta.textContent = `${prettyDate(start)} – ${prettyDate(end)}`;
+  const stat = (label, value) => `<div class="stat"><div class="stat-value">${escapeHtml(String(value))}</div><div class="stat-label">${escapeHtml(label)}</div></div>`;
+  els.cyclesStats.innerHTML = stat("Power cycles", total) + stat("Sites cycled", stats.length) +
+    stat("Mean interval per site", formatDays(meanInterval)) + stat("Since the last cycle", formatDays(dayNumber(today) - dayNumber(allDates[allDates.length-1])));
+
+  // frequent offenders: most cycles first, then the shortest mean interval
+  const trendBadge = s => s.trend > 0 ? `<span class="badge warn" title="The latest gap is shorter than the ones before it">↑ more often</span>` : s.trend < 0 ? `<span class="badge success">↓ less often</span>` : "";
+  els.cyclesOffenders.innerHTML = `<h3 style="margin:0 0 8px 0">Frequent offenders</h3>` + stats.slice(0, 10).map((s, i)=>
+    `<div class="offender-row" ${cycleMarkAttrs(s.byDate[s.lastDateKey])} title="Open the note with the last power cycle">
+      <span class="offender-rank">${i+1}</span>
+      <div class="offender-name">${escapeHtml(s.name)} ${s.matched ? "" : `<span class="badge warn">needs mapping</span>`}
+        <div class="meta" style="margin-top:2px">${s.meanInterval===null ? "cycled once" : `every ${escapeHtml(formatDays(s.meanInterval))} on average`} • last ${escapeHtml(s.lastDateKey)} (${escapeHtml(formatDays(s.daysSinceLast))} ago)</div></div>
+      ${trendBadge(s)}<span class="badge">⚡ ${s.count}</span>
+    </div>`).join("");
+
+  // timeline: one row per site, marks placed by date between start and end
+  const span = Math.max(1, dayNumber(end) - dayNumber(start));
+  const pct = dateKey => ((dayNumber(dateKey) - dayNumber(start)) / span * 100).toFixed(2);
+  const months = [];
+  for(let d = new Date(`${start.slice(0,7)}-01T00:00:00Z`); d.toISOString().slice(0,10) <= end; d.setUTCMonth(d.getUTCMonth()+1)){
+    const key = d.toISOString().slice(0,10);
+    if(key >= start) months.push(key);
+  }
+  const axis = `<div class="timeline-row timeline-axis"><div class="timeline-label"></div><div class="timeline-track">${months.map(m =>
+    `<span class="timeline-tick" style="left:${pct(m)}%">${escapeHtml(new Date(`${m}T00:00:00Z`).toLocaleDateString(undefined,{month:"short", year:"2-digit", timeZone:"UTC"}))}</span>`).join("")}</div></div>`;
+  els.cyclesTimeline.innerHTML = `<h3 style="margin:0 0 8px 0">Timeline</h3>` + axis + stats.slice().sort((a,b)=> a.name.localeCompare(b.name)).map(s =>
+    `<div class="timeline-row"><div class="timeline-label" title="${escapeHtml(s.name)}">${escapeHtml(s.name)}</div><div class="timeline-track">${s.dates.map(d =>
+      `<button type="button" class="cycle-mark" style="left:${pct(d)}%" ${cycleMarkAttrs(s.byDate[d])} title="${escapeHtml(`${s.name} • ${prettyDate(d)}\n${s.byDate[d].map(p => p.raw).join("\n")}`)}"></button>`).join("")}</div></div>`).join("");
+
+  // calendar heatmap: GitHub-style weeks × weekdays, shaded by the number of cycles that day
+  const perDay = {};
+  stats.forEach(s => s.dates.forEach(d => { (perDay[d] = perDay[d] || []).push(...s.byDate[d]); }));
+  const max = Math.max(...Object.values(perDay).map(list => list.length));
+  const first = dayNumber(start) - new Date(dayNumber(start)*DAY_MS).getUTCDay(), last = dayNumber(end);
+  let cells = "";
+  for(let day = first; day <= last; day++){
+    const key = dateKeyFromDayNumber(day), list = perDay[key];
+    if(day < dayNumber(start)){ cells += `<span class="heat-cell outside"></span>`; continue; }
+    if(!list){ cells += `<span class="heat-cell" title="${escapeHtml(prettyDate(key))}"></span>`; continue; }
+    const level = Math.max(1, Math.ceil(list.length / max * 4));
+    cells += `<button type="button" class="heat-cell level-${level}" ${cycleMarkAttrs(list)} title="${escapeHtml(`${prettyDate(key)} • ${list.length} power cycle${list.length===1?"":"s"}\n${list.map(p => p.raw).join("\n")}`)}"></button>`;
+  }
+  els.cyclesHeatmap.innerHTML = `<h3 style="margin:0 0 8px 0">Calendar</h3><div class="heatmap">${cells}</div>`;
+}
+
+// ---------- Weekly summary (active note vs. the previous meeting) ----------
+function previousNoteFor(note){
+  const earlier = Object.keys(notesByDateKey).filter(k => k < note.dateKey).sort();
+  // with two reports for that date, the server one (listed first) is the meeting of record
+  return earlier.length ? notes.find(n => n.id === notesByDateKey[earlier[earlier.length-1]][0]) || null : null;
+}
+
+// Sites discussed in a note, grouped by registry site (so "IAD1-B- Gens …" and "IAD1-A" are one site)
+function sitesInNote(note){
+  const sites = {};
+  note.blocks.forEach(b=>{
+    const title = (b.title||"").trim();
+    if(!title || /^power\s*cycle$/i.test(title) || /^notes$/i.test(title)) return;
+    const { key, name } = siteForHeading(title);
+    if(!key) return;
+    if(!sites[key]) sites[key] = { key, name, headings: [], items: [], sectionId: b.id };
+    sites[key].headings.push(title);
+    sites[key].items.push(...(b.paragraphs||[]), ...(b.items||[]));
+  });
+  return sites;
+}
+
+// powerCycles: powerCyclesMap as built by buildGeneratorsAndPowerCycles()
+function buildMeetingSummary(note, previous, powerCycles){
+  const now = sitesInNote(note);
+  const before = previous ? sitesInNote(previous) : {};
+  const byName = (a,b)=> a.name.localeCompare(b.name);
+  const cycles = [];
+  // only top-level bullets name sites (as in buildGeneratorIndex); nested ones are notes about that cycle
+  note.blocks.filter(b => isPowerCycleTitle(b.title)).forEach(b => (b.list || (b.items||[]).map(text => ({ text }))).forEach(node=>{
+    const raw = stripTags(node.text);
+    if(!raw) return;
+    const { key, name: siteName } = siteForHeading(raw);
+    const name = normalizeNameKey(siteName)===normalizeNameKey(raw) ? siteName : `${siteName} (${raw})`;
+    const last = (powerCycles[key] || []).filter(p => p.dateKey < note.dateKey).sort((a,b)=> b.dateKey.localeCompare(a.dateKey))[0];
+    cycles.push({ key, name, raw, lastDateKey: last ? last.dateKey : null });
+  }));
+  return {
+    dateKey: note.dateKey, filename: note.filename, noteId: note.id,
+    previousDateKey: previous ? previous.dateKey : null,
+    newSites: Object.values(now).filter(s => !before[s.key]).sort(byName),
+    carriedOver: Object.values(now).filter(s => before[s.key]).sort(byName),
+    dropped: Object.values(before).filter(s => !now[s.key]).sort(byName),
+    powerCycles: cycles.sort(byName),
+  };
+}
+
+function mdEscape(s){ return String(s||"").replace(/([\\`*_[\]<>|#])/g, "\\$1"); }
+
+function summaryToMarkdown(sum){
+  const out = [`# Power Cycle Summary — ${prettyDate(sum.dateKey)}`, ""];
+  out.push(sum.previousDateKey ? `_Compared with the ${prettyDate(sum.previousDateKey)} meeting._` : "_First meeting on record._", "");
+  const siteList = (title, sites, withItems) => {
+    out.push(`## ${title} (${sites.length})`, "");
+    if(!sites.length){ out.push("_None._", ""); return; }
+    sites.forEach(s=>{
+      if(!withItems){ out.push(`- ${mdEscape(s.name)}`); return; }
+      out.push(`### ${mdEscape(s.name)}`, "");
+      s.items.forEach(it => out.push(`- ${mdEscape(it)}`));
+      if(!s.items.length) out.push("_No notes._");
+      out.push("");
+    });
+    if(!withItems) out.push("");
+  };
+  siteList("New this week", sum.newSites, true);
+  siteList("Carried over", sum.carriedOver, true);
+  siteList("Dropped since last meeting", sum.dropped, false);
+  out.push("## Power cycles this week", "");
+  if(!sum.powerCycles.length) out.push("_No power cycles recorded this week._");
+  else {
+    out.push("| Site | Previous power cycle |", "| --- | --- |");
+    sum.powerCycles.forEach(p => out.push(`| ${mdEscape(p.name)} | ${p.lastDateKey ? prettyDate(p.lastDateKey) : "—"} |`));
+  }
+  return out.join("\n") + "\n";
+}
+
+function summaryBodyHtml(sum){
+  const siteList = (title, sites, withItems) => `<h2>${escapeHtml(title)} <span class="count">(${sites.length})</span></h2>` + (!sites.length ? `<p class="none">None.</p>` :
+    withItems ? sites.map(s => `<h3>${escapeHtml(s.name)}</h3>` + (s.items.length ? `<ul>${s.items.map(it => `<li>${escapeHtml(it)}</li>`).join("")}</ul>` : `<p class="none">No notes.</p>`)).join("")
+      : `<ul>${sites.map(s => `<li>${escapeHtml(s.name)}</li>`).join("")}</ul>`);
+  const cycles = !sum.powerCycles.length ? `<p class="none">No power cycles recorded this week.</p>` :
+    `<table><thead><tr><th>Site</th><th>Previous power cycle</th></tr></thead><tbody>${sum.powerCycles.map(p =>
+      `<tr><td>${escapeHtml(p.name)}</td><td>${escapeHtml(p.lastDateKey ? prettyDate(p.lastDateKey) : "—")}</td></tr>`).join("")}</tbody></table>`;
+  return `<h1>Power Cycle Summary — ${escapeHtml(prettyDate(sum.dateKey))}</h1>
+    <p class="sub">${sum.previousDateKey ? `Compared with the ${escapeHtml(prettyDate(sum.previousDateKey))} meeting.` : "First meeting on record."}</p>
+    ${siteList("New this week", sum.newSites, true)}
+    ${siteList("Carried over", sum.carriedOver, true)}
+    ${siteList("Dropped since last meeting", sum.dropped, false)}
+    <h2>Power cycles this week</h2>${cycles}`;
+}
+
+// Standalone document (no app.js / styles.css) for archiving and printing
+function summaryToHtml(sum){
+  return `<!doctype html>
+<html lang="en"><head><meta charset="UTF-8" /><title>Power Cycle Summary ${escapeHtml(sum.dateKey)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #161616; max-width: 760px; margin: 32px auto; padding: 0 16px; line-height: 1.5; }
+  h1 { font-size: 22px; margin-bottom: 4px; } h2 { font-size: 17px; margin-top: 26px; border-bottom: 1px solid #ddd; padding-bottom: 4px; } h3 { font-size: 15px; margin: 14px 0 4px; }
+  .sub, .none, .count { color: #666; } table { border-collapse: collapse; width: 100%; } th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e4e4; }
+  @media print { body { margin: 0; } h2, h3 { break-after: avoid; } }
+</style></head>
+<body>${summaryBodyHtml(sum)}</body></html>
+`;
+}
+
+let activeSummary = null;
+
+async function showSummaryForActiveNote(){
+  const note = notes.find(n => n.id === activeNoteId);
+  if(!note || note.status!=="loaded" || !showView("summary")) return;
+  // the week-over-week diff needs last week's body, which may still be queued
+  const previous = previousNoteFor(note);
+  if(previous && previous.status!=="loaded"){ els.summaryContent.innerHTML = `<div class="empty-state"><p>Loading ${escapeHtml(previous.filename)}…</p></div>`; await ensureNoteBody(previous); }
+  buildGeneratorsAndPowerCycles();
+  activeSummary = buildMeetingSummary(note, previous && previous.status==="loaded" ? previous : null, powerCyclesMap);
+  els.summaryContent.innerHTML = summaryBodyHtml(activeSummary);
+}
+
+function exportSummary(format){
+  if(!activeSummary) return;
+  const base = `power-cycle-summary-${activeSummary.dateKey}`;
+  if(format==="md") triggerTextDownload(`${base}.md`, summaryToMarkdown(activeSummary), "text/markdown;charset=utf-8");
+  else if(format==="html") triggerTextDownload(`${base}.html`, summaryToHtml(activeSummary), "text/html;charset=utf-8");
+  else if(format==="copy"){
+    navigator.clipboard.writeText(summaryToMarkdown(activeSummary)).then(
+      ()=> { els.summaryMeta.textContent = "Markdown copied to the clipboard."; },
+      ()=> { els.summaryMeta.textContent = "Could not copy; use Download .md instead."; });
+  } else if(format==="print"){
+    const w = window.open("", "_blank");
+    if(!w){ alert("Allow pop-ups to print the summary."); return; }
+    w.document.write(summaryToHtml(activeSummary)); w.document.close(); w.focus(); w.print();
+  }
 }
 
 // ---------- Jump & Events ----------
-function jumpToSection(sectionId){ if(!sectionId) return; const el = document.getElementById(sectionId); if(!el) return; document.querySelectorAll(".section.highlight").forEach(s=>s.classList.remove("highlight")); el.classList.add("highlight"); el.scrollIntoView({ behavior:"smooth", block:"center" }); setTimeout(()=>el.classList.remove("highlight"),2400); }
+function jumpToSection(sectionId){ if(!sectionId) return; const el = document.getElementById(sectionId); if(!el) return; const note = notes.find(n => n.id===activeNoteId); const block = note && sectionOf(note, sectionId); if(block && block.slug!==activeSectionSlug){ activeSectionSlug = block.slug; syncRoute({ replace: true }); } document.querySelectorAll(".section.highlight").forEach(s=>s.classList.remove("highlight")); el.classList.add("highlight"); el.scrollIntoView({ behavior:"smooth", block:"center" }); setTimeout(()=>el.classList.remove("highlight"),2400); }
 
 function wireEvents(){
   els.filenameFilter.addEventListener("input", ()=> renderFileList());
-  els.globalSearch.addEventListener("input", ()=> renderFileList());
+  let globalSearchTimer = null;
+  els.globalSearch.addEventListener("input", ()=> {
+    clearTimeout(globalSearchTimer);
+    // one history entry per search, not per keystroke
+    globalSearchTimer = setTimeout(()=>{ renderFileList(); syncRoute({ replace: location.hash.startsWith("#/search") }); }, 120);
+  });
+  let fileListScrollFrame = null;
+  els.fileList.addEventListener("scroll", ()=> { if(fileListScrollFrame) return; fileListScrollFrame = requestAnimationFrame(()=>{ fileListScrollFrame = null; renderFileListWindow(); }); });
+  els.fileList.addEventListener("click", (e)=> { const item = e.target.closest(".file-item"); if(item) openNote(item.getAttribute("data-id")); });
+  els.noteContent.addEventListener("click", (e)=> {
+    const retry = e.target.closest("[data-retry]"); if(retry) retryNoteBody(retry.getAttribute("data-retry"));
+    const link = e.target.closest("[data-copy-section]"); if(link) copySectionLink(link);
+  });
+  window.addEventListener("popstate", ()=> applyRoute());
+  window.addEventListener("hashchange", ()=> applyRoute());
   els.inNoteSearch.addEventListener("input", ()=> {
-    const inQ = normalizeQuery(els.inNoteSearch.value);
-    if(inQ) renderActiveNoteWithHighlight(inQ);
-    else {
-      const g = normalizeQuery(els.globalSearch.value);
-      if(g) renderActiveNoteWithHighlight(g); else { const note = notes.find(n=>n.id===activeNoteId); if(note) { els.noteContent.innerHTML = renderBlocksToHtml(note.blocks); document.querySelectorAll(".section.highlight").forEach(s=>s.classList.remove("highlight")); } }
-    }
+    if(!els.inNoteSearch.value.trim() && !els.globalSearch.value.trim()){ els.inNoteMeta.classList.remove("error"); els.inNoteMeta.textContent = ""; }
+    renderActiveNote();
   });
     if (els.newLogBtn) {
     els.newLogBtn.addEventListener("click", () => {
-      downloadNewLogFromTemplate();
+      newNoteFromTemplate();
     });
   }
+  if (els.editNoteBtn) els.editNoteBtn.addEventListener("click", () => openEditorForActiveNote());
+  if (els.summarizeBtn) els.summarizeBtn.addEventListener("click", () => showSummaryForActiveNote());
+  els.summaryView.querySelectorAll("[data-export]").forEach(btn => btn.addEventListener("click", () => exportSummary(btn.getAttribute("data-export"))));
+  els.summaryView.querySelector("[data-close]").addEventListener("click", () => showView("notes"));
+  els.editorText.addEventListener("input", () => {
+    renderEditorStatus();
+    clearTimeout(editorPreviewTimer);
+    editorPreviewTimer = setTimeout(renderEditorPreview, 120);
+  });
+  els.editorSaveBtn.addEventListener("click", () => saveEditor());
+  els.editorCloseBtn.addEventListener("click", () => closeEditorToNote());
+  window.addEventListener("beforeunload", (e) => { if(editorIsDirty()){ e.preventDefault(); e.returnValue = ""; } });
+  if (els.uploadBtn && els.uploadInput) {
+    els.uploadBtn.addEventListener("click", () => els.uploadInput.click());
+    els.uploadInput.addEventListener("change", async () => {
+      await uploadReports(els.uploadInput.files);
+      els.uploadInput.value = "";
+    });
+  }
+
+  els.importFilesBtn.addEventListener("click", () => els.importFilesInput.click());
+  els.importFolderBtn.addEventListener("click", () => els.importFolderInput.click());
+  [els.importFilesInput, els.importFolderInput].forEach(input => input.addEventListener("change", async () => {
+    await importReports(input.files);
+    input.value = "";
+  }));
+  els.removeImportBtn.addEventListener("click", () => removeImportedNote(activeNoteId));
+  els.sidebar.addEventListener("dragover", (e) => { if(!dragHasFiles(e)) return; e.preventDefault(); e.dataTransfer.dropEffect = "copy"; els.sidebar.classList.add("drop-target"); });
+  els.sidebar.addEventListener("dragleave", (e) => { if(!els.sidebar.contains(e.relatedTarget)) els.sidebar.classList.remove("drop-target"); });
+  els.sidebar.addEventListener("drop", async (e) => {
+    if(!dragHasFiles(e)) return;
+    e.preventDefault(); els.sidebar.classList.remove("drop-target");
+    let files;
+    try { files = await filesFromDrop(e.dataTransfer); }
+    catch(err){ alert(`Nothing was imported: the dropped files couldn't be read.\n\n${err.message || err}`); return; }
+    importReports(files);
+  });
+  // a file dropped anywhere else would make the browser navigate away from the app
+  window.addEventListener("dragover", (e) => { if(dragHasFiles(e) && !els.sidebar.contains(e.target)){ e.preventDefault(); e.dataTransfer.dropEffect = "none"; } });
+  window.addEventListener("drop", (e) => { if(dragHasFiles(e) && !els.sidebar.contains(e.target)) e.preventDefault(); });
 
   els.tabNotes.addEventListener("click", ()=> showView("notes"));
-  els.tabGenerators.addEventListener("click", ()=> { buildGeneratorsAndPowerCycles(); renderGeneratorsView(); showView("generators"); });
-  document.addEventListener("keydown",(e)=>{ if((e.ctrlKey||e.metaKey)&&e.key.toLowerCase()==="k"){ e.preventDefault(); els.globalSearch.focus(); } if((e.ctrlKey||e.metaKey)&&e.key.toLowerCase()==="f"){ if(!els.inNoteSearch.disabled){ e.preventDefault(); els.inNoteSearch.focus(); } } });
+  els.tabGenerators.addEventListener("click", ()=> { activeGeneratorKey = null; if(!showView("generators")) return; buildGeneratorsAndPowerCycles(); renderGeneratorsView(); });
+  els.tabActions.addEventListener("click", ()=> { if(!showView("actions")) return; renderActionItemsView(); });
+  [els.actionOwnerFilter, els.actionSiteFilter, els.actionStatusFilter].forEach(sel => sel.addEventListener("change", ()=> renderActionItemsView()));
+  els.tabCycles.addEventListener("click", ()=> { if(!showView("cycles")) return; renderPowerCyclesView(); });
+  [els.cyclesFrom, els.cyclesTo].forEach(input => input.addEventListener("change", ()=> renderPowerCyclesView()));
+  els.cyclesAllBtn.addEventListener("click", ()=> { els.cyclesFrom.value = ""; els.cyclesTo.value = ""; renderPowerCyclesView(); });
+  els.tabProblems.addEventListener("click", ()=> { if(!showView("problems")) return; renderProblemsView(); });
+  [els.problemSeverityFilter, els.problemRuleFilter].forEach(sel => sel.addEventListener("change", ()=> renderProblemsView()));
+  els.problemList.addEventListener("click", (e)=> {
+    const item = e.target.closest(".problem-item");
+    if(item) openNote(item.getAttribute("data-noteid"), item.getAttribute("data-section") || null);
+  });
+  els.chronicIssues.addEventListener("click", (e)=> {
+    const row = e.target.closest(".chronic-row");
+    if(row) showIssueThread(row.getAttribute("data-site"), row.getAttribute("data-thread"));
+  });
+  els.cyclesView.addEventListener("click", (e)=> {
+    const mark = e.target.closest("[data-noteid]");
+    if(mark) openNote(mark.getAttribute("data-noteid"), mark.getAttribute("data-section") || null);
+  });
+  document.addEventListener("keydown",(e)=>{ if((e.ctrlKey||e.metaKey)&&e.key.toLowerCase()==="s"&&editor){ e.preventDefault(); saveEditor(); return; } if((e.ctrlKey||e.metaKey)&&e.key.toLowerCase()==="k"){ e.preventDefault(); els.globalSearch.focus(); } if((e.ctrlKey||e.metaKey)&&e.key.toLowerCase()==="f"){ if(!els.inNoteSearch.disabled){ e.preventDefault(); els.inNoteSearch.focus(); } } });
 }
 
-function showView(viewName){ if(viewName==="generators"){ els.noteContent.classList.add("hidden"); els.generatorsView.classList.remove("hidden"); els.tabGenerators.classList.add("active"); els.tabNotes.classList.remove("active"); } else { els.noteContent.classList.remove("hidden"); els.generatorsView.classList.add("hidden"); els.tabGenerators.classList.remove("active"); els.tabNotes.classList.add("active"); } }
+// Returns false when the switch was cancelled (unsaved edits kept)
+function showView(viewName){
+  if(viewName!=="editor" && !closeEditor()) return false;
+  const views = { notes: els.noteContent, generators: els.generatorsView, actions: els.actionsView, cycles: els.cyclesView, problems: els.problemsView, editor: els.editorView, summary: els.summaryView };
+  const tabs = { notes: els.tabNotes, generators: els.tabGenerators, actions: els.tabActions, cycles: els.tabCycles, problems: els.tabProblems };
+  Object.keys(views).forEach(name => views[name].classList.toggle("hidden", name!==viewName));
+  // the editor and summary live "inside" the Notes tab
+  Object.keys(tabs).forEach(name => tabs[name].classList.toggle("active", name===viewName || ((viewName==="editor" || viewName==="summary") && name==="notes")));
+  currentView = viewName;
+  syncRoute();
+  return true;
+}
+
+function openNote(id, targetSectionId=null){ if(!showView("notes")) return; setActiveNote(id, targetSectionId); }
+
+// ---------- Routing (location.hash) ----------
+// #/note/2026-01-21 • #/note/2026-01-21/section/fannie-mae • #/note/2026-01-21/2 (second report for that date) • #/generators • #/generators/iad1/a • #/search?q=comms
+// #/actions • #/cycles • #/problems. The editor and summary keep the note's URL.
+const ROUTED_VIEWS = { actions: ()=> renderActionItemsView(), cycles: ()=> renderPowerCyclesView(), problems: ()=> renderProblemsView() };
+let currentView = "notes";
+let activeSectionSlug = null;  // section of the active note the URL points at
+let activeGeneratorKey = null; // generator whose mentions are open
+let routeApplying = false;
+let lastRouteHash = null;
+
+function parseRoute(hash){
+  const [path, query = ""] = String(hash||"").replace(/^#\/?/, "").split("?");
+  const parts = path.split("/").filter(Boolean).map(p => { try { return decodeURIComponent(p); } catch(e){ return p; } });
+  if(parts[0]==="note" && parts[1]){
+    const numbered = /^\d+$/.test(parts[2] || "");
+    const copy = numbered ? Math.max(1, Number(parts[2])) : 1, rest = parts.slice(numbered ? 3 : 2);
+    return { view: "notes", dateKey: parts[1], copy, section: rest[0]==="section" && rest[1] ? rest[1] : null };
+  }
+  if(parts[0]==="search") return { view: "notes", q: new URLSearchParams(query).get("q") || "" };
+  if(parts[0]==="generators") return { view: "generators", generator: parts.slice(1).join("/") || null };
+  if(ROUTED_VIEWS[parts[0]]) return { view: parts[0] };
+  return { view: "notes" };
+}
+
+function noteRouteHash(note, sectionSlug=null){
+  const copy = (notesByDateKey[note.dateKey] || []).indexOf(note.id) + 1;
+  return `#/note/${encodeURIComponent(note.dateKey)}${copy > 1 ? `/${copy}` : ""}${sectionSlug ? `/section/${encodeURIComponent(sectionSlug)}` : ""}`;
+}
+
+function routeHash(){
+  if(currentView==="generators") return `#/generators${activeGeneratorKey ? "/" + activeGeneratorKey.split("/").map(encodeURIComponent).join("/") : ""}`;
+  if(ROUTED_VIEWS[currentView]) return `#/${currentView}`;
+  const q = els.globalSearch.value.trim();
+  if(q) return `#/search?q=${encodeURIComponent(q)}`;
+  const note = notes.find(n => n.id===activeNoteId);
+  return note ? noteRouteHash(note, activeSectionSlug) : "";
+}
+
+// Puts the current state in the URL; several calls in one tick make a single history entry
+let routeSync = null;
+function syncRoute({ replace = false } = {}){
+  if(routeApplying || currentView==="editor" || currentView==="summary") return;
+  if(routeSync){ routeSync.replace = routeSync.replace && replace; return; }
+  routeSync = { replace };
+  queueMicrotask(()=>{
+    const { replace } = routeSync; routeSync = null;
+    const hash = routeHash();
+    if(!hash || hash===location.hash) return;
+    history[replace ? "replaceState" : "pushState"](null, "", hash);
+    lastRouteHash = location.hash;
+  });
+}
+
+// Restores the state a URL describes (reload, back/forward, pasted link)
+function applyRoute(){
+  if(location.hash && location.hash===lastRouteHash) return;
+  const route = parseRoute(location.hash);
+  routeApplying = true;
+  let shown = true;
+  try {
+    if(route.view==="notes"){
+      const q = route.q || "";
+      if(els.globalSearch.value.trim()!==q){ els.globalSearch.value = q; renderFileList(); }
+      shown = showView("notes");
+      const id = route.dateKey ? (notesByDateKey[route.dateKey] || [])[route.copy-1] : (activeNoteId || (notes[0] && notes[0].id));
+      if(route.dateKey && !id) els.globalSearchMeta.textContent = `No note for ${route.dateKey}${route.copy > 1 ? ` (#${route.copy})` : ""}.`;
+      if(shown && id && (id!==activeNoteId || route.section || activeSectionSlug)) setActiveNote(id, route.section);
+    } else if(route.view==="generators"){
+      activeGeneratorKey = route.generator;
+      shown = showView("generators");
+      if(shown) renderGeneratorsView();
+    } else {
+      shown = showView(route.view);
+      if(shown) ROUTED_VIEWS[route.view]();
+    }
+  } finally {
+    routeApplying = false;
+  }
+  // unknown or cancelled routes are rewritten to what is actually on screen
+  const hash = routeHash();
+  if(hash && hash!==location.hash) history.replaceState(null, "", hash);
+  lastRouteHash = location.hash;
+}
 
 // ---------- Load notes ----------
+// notes.json lists the reports, either as plain filenames or as { filename, dateKey, headings, size, hash }
+// (what server.js writes). The sidebar renders from it right away; bodies load in the background.
+const BODY_CONCURRENCY = 3;
+let manifestError = null; // why notes.json didn't load, when only imported reports are shown
+let bodyQueue = [];
+let bodiesInFlight = 0;
+
+function manifestEntry(raw){
+  if(typeof raw === "string") return { filename: raw };
+  if(raw && typeof raw.filename === "string") return raw;
+  return null;
+}
+
 async function loadNotes(){
   const res = await fetch("./notes/notes.json",{cache:"no-store"});
   if(!res.ok) throw new Error(`Failed to load notes.json (${res.status})`);
-  const filenames = await res.json();
-  if(!Array.isArray(filenames)) throw new Error("notes.json must be a JSON array of filenames.");
-  const fetched = await Promise.all(filenames.map(async filename=>{
-    const noteRes = await fetch(`./notes/${encodeURIComponent(filename)}`,{cache:"no-store"});
-    if(!noteRes.ok) throw new Error(`Failed to load note: ${filename} (${noteRes.status})`);
-    const text = await noteRes.text();
-    const dateKey = dateKeyFromFilename(filename);
-    return { id: crypto.randomUUID(), filename, dateKey, text, blocks: parseNoteToBlocks(text, filename) };
-  }));
-  notes = fetched.sort((a,b)=> b.dateKey.localeCompare(a.dateKey));
-  notesByDateKey = {}; notes.forEach(n=> notesByDateKey[n.dateKey] = n.id);
+  const list = await res.json();
+  if(!Array.isArray(list)) throw new Error("notes.json must be a JSON array of filenames or manifest entries.");
+
+  // keep bodies we already have when the manifest says the file didn't change
+  const previous = {}; notes.forEach(n => { if(n.source!=="imported") previous[n.filename] = n; });
+  notes = list.map(manifestEntry).filter(Boolean).map(e=>{
+    const meta = { headings: Array.isArray(e.headings) ? e.headings : null, size: typeof e.size === "number" ? e.size : null, hash: e.hash || null };
+    const prev = previous[e.filename];
+    if(prev && prev.status==="loaded" && meta.hash && prev.hash===meta.hash) return Object.assign(prev, meta);
+    // the filename is the id, so links and selections survive a reload
+    return { id: e.filename, filename: e.filename, dateKey: dateKeyFromFilename(e.filename), source: "server", ...meta, text: null, blocks: [], status: "pending", error: null, bodyPromise: null };
+  }).concat(importedNotes).sort((a,b)=> b.dateKey.localeCompare(a.dateKey));
+  indexNotesByDate();
+  manifestError = null;
+
+  searchIndex.clear();
+  notes.forEach(n => { if(n.status==="loaded") searchIndex.add(n.id, n.text); });
+  // newest first, since those are the ones people open
+  bodyQueue = notes.filter(n => n.status==="pending");
+  pumpBodyQueue();
+}
+
+// dateKey -> [note ids]; server reports come before imported ones, then by filename
+function indexNotesByDate(){
+  notesByDateKey = {};
+  notes.slice().sort((a,b)=> (a.source==="imported") - (b.source==="imported") || a.filename.localeCompare(b.filename))
+    .forEach(n => (notesByDateKey[n.dateKey] = notesByDateKey[n.dateKey] || []).push(n.id));
+}
+
+function pumpBodyQueue(){
+  while(bodiesInFlight < BODY_CONCURRENCY && bodyQueue.length){
+    const note = bodyQueue.shift();
+    if(note.status==="pending") ensureNoteBody(note);
+  }
+}
+
+// Loads one note body (once); resolves with the note whether it loaded or failed
+function ensureNoteBody(note){
+  if(note.status==="loaded") return Promise.resolve(note);
+  if(note.bodyPromise) return note.bodyPromise;
+  note.status = "loading"; note.error = null; bodiesInFlight++;
+  note.bodyPromise = (async ()=>{
+    try {
+      const noteRes = await fetch(`./notes/${encodeURIComponent(note.filename)}`,{cache:"no-store"});
+      if(!noteRes.ok) throw new Error(`Failed to load note: ${note.filename} (${noteRes.status})`);
+      applyNoteText(note, await noteRes.text());
+    } catch(err){
+      note.status = "error"; note.error = String(err.message || err);
+    } finally {
+      bodiesInFlight--; note.bodyPromise = null;
+      onNoteBodySettled(note);
+      pumpBodyQueue();
+    }
+    return note;
+  })();
+  return note.bodyPromise;
+}
+
+// Parse, lint and index a report body; the same for server and imported reports
+function applyNoteText(note, text){
+  note.text = text;
+  note.blocks = parseNoteToBlocks(text, note.filename);
+  note.problems = lintNote(note);
+  note.status = "loaded";
+  searchIndex.add(note.id, text);
+}
+
+function retryNoteBody(id){
+  const note = notes.find(n => n.id===id);
+  if(!note || note.status!=="error") return;
+  note.status = "pending";
+  renderActiveNote();
+}
+
+function onNoteBodySettled(note){
+  if(!notes.includes(note)) return; // replaced by a refresh meanwhile
+  scheduleFileListRefresh();
+  if(note.id===activeNoteId){
+    if(els.editNoteBtn) els.editNoteBtn.disabled = note.status!=="loaded";
+    if(els.summarizeBtn) els.summarizeBtn.disabled = note.status!=="loaded";
+    renderActiveNote();
+  }
+  // views built from every note refresh once the last body is in
+  if(!notes.some(n => n.status==="pending" || n.status==="loading")) refreshAllNoteViews();
+}
+
+function refreshAllNoteViews(){
+  if(!els.generatorsView.classList.contains("hidden")) renderGeneratorsView();
+  if(!els.actionsView.classList.contains("hidden")) renderActionItemsView();
+  if(!els.cyclesView.classList.contains("hidden")) renderPowerCyclesView();
+  if(!els.problemsView.classList.contains("hidden")) renderProblemsView();
 }
 
 // ---------- Boot ----------
-(async function init(){ wireEvents(); try{ await loadNotes(); renderFileList(); if(notes.length>0) setActiveNote(notes[0].id); } catch(err){ els.noteContent.innerHTML = `<div class="empty-state"><p><strong>Could not load notes.</strong></p><p class="small">${escapeHtml(String(err.message||err))}</p><p class="small">Make sure you have <code>/notes/notes.json</code> and at least one <code>.txt</code> file.</p></div>`; els.globalSearchMeta.textContent = "Error loading notes"; } })();
+function showNoNotes(err=null){
+  els.noteTitle.textContent = "Select a note"; els.noteSubtitle.textContent = "";
+  els.noteContent.innerHTML = `<div class="empty-state"><p><strong>${err ? "Could not load notes." : "No notes yet."}</strong></p>${err ? `<p class="small">${escapeHtml(String(err.message||err))}</p>` : ""}<p class="small">Make sure you have <code>/notes/notes.json</code> and at least one <code>.txt</code> file, or drop <code>.txt</code> reports (or a folder of them) onto the sidebar.</p></div>`;
+  if(err) els.globalSearchMeta.textContent = "Error loading notes";
+}
+
+(async function init(){
+  wireEvents(); detectNoteStorage();
+  try{
+    await Promise.all([loadSiteRegistry(), loadLintTemplate(), loadTemplates()]);
+    await loadImportedNotes();
+    // imported reports are enough to work with, e.g. when index.html is opened straight from disk
+    try { await loadNotes(); }
+    catch(err){ if(!importedNotes.length) throw err; manifestError = err; mergeImportedNotes(); }
+    renderFileList(); applyRoute();
+  } catch(err){ showNoNotes(err); }
+})();
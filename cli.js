@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/* cli.js
+   - Reports from the notes folder without a browser, using the same parser, registry and search as the app (core.js)
+   - Commands:
+       list                                        reports with their dates and section headings
+       search <query>                              matching sections (same query language as the search box)
+       generators                                  sites/generators with their mentions and power cycles
+       powercycles [--site NAME] [--since DATE]    power cycles, newest first
+       export [--format json|csv]                  every bullet and paragraph with its date, section, site and tags
+   - Options:
+       --notes <dir|notes.json>   notes folder, or a manifest whose reports sit next to it (default: ./notes)
+       --sites <file>             site/generator registry (default: ./sites.json)
+       --json                     JSON output for list, search, generators and powercycles
+   Run with: node cli.js <command> [options]
+*/
+
+const fs = require("fs");
+const path = require("path");
+const {
+  dateKeyFromFilename, parseNoteToBlocks, tagsInText, stripTags, isPowerCycleTitle, QuerySyntaxError, compileSearch, matchRanges,
+  createSiteRegistry, resolveSiteName, siteForHeading, searchNote, buildGeneratorIndex, findPowerCycles,
+} = require("./core");
+
+const ROOT = __dirname;
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  list                                      reports with their dates and section headings
+  search <query>                            matching sections, e.g. search 'site:IAD2 "data gap"'
+  generators                                sites/generators with their mentions and power cycles
+  powercycles [--site NAME] [--since DATE]  power cycles, newest first
+  export [--format json|csv]                every bullet and paragraph, one row each
+
+Options:
+  --notes <dir|notes.json>  notes folder or manifest (default: ./notes)
+  --sites <file>            site/generator registry (default: ./sites.json)
+  --json                    JSON output for list, search, generators and powercycles`;
+
+// Bad arguments: exit code 2 and a pointer to --help
+class UsageError extends Error {}
+
+// ---------- Arguments ----------
+const VALUE_OPTIONS = ["notes", "sites", "site", "since", "format"];
+const FLAG_OPTIONS = ["json", "help"];
+
+function parseArgs(argv){
+  const args = { positional: [], options: {} };
+  for(let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    if(!arg.startsWith("--")){ args.positional.push(arg); continue; }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if(FLAG_OPTIONS.includes(name)){ args.options[name] = true; continue; }
+    if(!VALUE_OPTIONS.includes(name)) throw new UsageError(`Unknown option --${name}.`);
+    const value = inline !== undefined ? inline : argv[++i];
+    if(value === undefined || value === "") throw new UsageError(`--${name} needs a value.`);
+    args.options[name] = value;
+  }
+  return args;
+}
+
+function sinceOption(value){
+  if(value === undefined) return null;
+  const m = String(value).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const d = m && new Date(Date.UTC(+m[1], m[2]-1, +m[3]));
+  if(!d || d.getUTCMonth() !== m[2]-1 || d.getUTCDate() !== +m[3]) throw new UsageError(`--since must be a date like 2026-01-14, not "${value}".`);
+  return dateKeyFromFilename(`${value}.txt`);
+}
+
+// ---------- Loading notes & sites ----------
+function readJson(file){
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch(err){ throw new Error(err.code === "ENOENT" ? `${file} not found.` : `Could not read ${file}: ${err.message}`); }
+}
+
+// A folder is read directly (every *.txt in it); a manifest lists filenames (or { filename } entries) next to it
+function reportFiles(source){
+  let stat;
+  try { stat = fs.statSync(source); } catch(err){ throw new Error(`${source} not found.`); }
+  if(stat.isDirectory()){
+    return fs.readdirSync(source, { withFileTypes: true }).filter(e => e.isFile() && /\.txt$/i.test(e.name)).map(e => path.join(source, e.name));
+  }
+  const manifest = readJson(source);
+  if(!Array.isArray(manifest)) throw new Error(`${source} must be an array of report filenames.`);
+  return manifest.map(entry => typeof entry === "string" ? entry : entry && entry.filename).filter(Boolean).map(f => path.join(path.dirname(source), f));
+}
+
+function loadNotes(source){
+  return reportFiles(source).map(file => {
+    const filename = path.basename(file);
+    let text;
+    try { text = fs.readFileSync(file, "utf8"); } catch(err){ throw new Error(`Could not read ${file}: ${err.message}`); }
+    return { id: filename, filename, dateKey: dateKeyFromFilename(filename), text, blocks: parseNoteToBlocks(text, filename) };
+  }).sort((a,b)=> b.dateKey.localeCompare(a.dateKey));
+}
+
+// The default sites.json is optional (everything shows up unmatched without it); one passed with --sites isn't
+function loadRegistry(file, explicit){
+  if(!explicit && !fs.existsSync(file)) return createSiteRegistry(null);
+  return createSiteRegistry(readJson(file));
+}
+
+// ---------- Output ----------
+function printJson(value){ process.stdout.write(JSON.stringify(value, null, 2) + "\n"); }
+
+function csvCell(value){ const s = String(value ?? ""); return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; }
+function toCsv(columns, rows){ return [columns].concat(rows.map(r => columns.map(c => r[c]))).map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n"; }
+
+// ---------- Commands ----------
+function listCommand(ctx){
+  const rows = ctx.notes.map(n => ({ filename: n.filename, dateKey: n.dateKey, headings: n.blocks.filter(b => b.line !== null).map(b => b.title) }));
+  if(ctx.options.json) return printJson(rows);
+  rows.forEach(r => console.log(`${r.dateKey}  ${r.filename}  ${r.headings.join(" · ")}`));
+}
+
+function searchCommand(ctx){
+  const query = ctx.positional.join(" ").trim();
+  if(!query) throw new UsageError("search needs a query.");
+  let search;
+  try { search = compileSearch(query); }
+  catch(err){ if(err instanceof QuerySyntaxError) err.message = `Query error: ${err.message}`; throw err; }
+  const results = ctx.notes.map(n => ({ note: n, sections: searchNote(n, search, ctx.registry).sections })).filter(r => r.sections.length);
+  // the lines that contain a search term; every line of the section when the query only has filters
+  const matchingLines = b => b.sourceLines.filter(l => !search.highlightRe || matchRanges(l.text, search.highlightRe).length);
+  if(ctx.options.json){
+    return printJson(results.map(r => ({
+      filename: r.note.filename, dateKey: r.note.dateKey,
+      sections: r.sections.map(b => ({ title: b.title, slug: b.slug, line: b.line, lines: matchingLines(b) })),
+    })));
+  }
+  results.forEach(r => r.sections.forEach(b => {
+    console.log(`${r.note.dateKey}  ${b.title}${b.line ? `  (${r.note.filename}:${b.line})` : ""}`);
+    matchingLines(b).forEach(l => console.log(`    ${"  ".repeat(l.depth || 0)}${l.kind === "item" ? "- " : ""}${l.text}`));
+  }));
+  const count = results.reduce((sum, r) => sum + r.sections.length, 0);
+  console.log(`${count} section${count===1?"":"s"} in ${results.length} note${results.length===1?"":"s"}`);
+}
+
+function generatorsCommand(ctx){
+  const index = buildGeneratorIndex(ctx.notes, ctx.registry);
+  const rows = Object.keys(index.generatorsIndex).map(genKey => {
+    const mentions = index.generatorsIndex[genKey];
+    const cycles = findPowerCycles(index, genKey);
+    return {
+      key: genKey, name: index.generatorsDisplay[genKey], matched: index.generatorsInfo[genKey].matched,
+      mentions: mentions.length, lastMentioned: mentions[0].dateKey,
+      powerCycles: cycles.length, lastPowerCycle: cycles.length ? cycles[0].dateKey : null,
+    };
+  }).sort((a,b)=> a.name.localeCompare(b.name));
+  const needsMapping = index.needsMapping.map(u => ({ name: u.raw, source: u.source, dateKeys: u.dateKeys.slice().sort() }));
+  if(ctx.options.json) return printJson({ generators: rows, needsMapping });
+  rows.forEach(r => {
+    const cycles = r.powerCycles ? `${r.powerCycles} power cycle${r.powerCycles===1?"":"s"} (last ${r.lastPowerCycle})` : "no power cycles";
+    console.log(`${r.name}${r.matched ? "" : " (not in sites.json)"}  ${r.mentions} mention${r.mentions===1?"":"s"} (last ${r.lastMentioned}), ${cycles}`);
+  });
+  if(needsMapping.length){
+    console.log(`\nNeeds mapping:`);
+    needsMapping.forEach(u => console.log(`  ${u.name}  (${u.source}, ${u.dateKeys.join(", ")})`));
+  }
+}
+
+function powerCyclesCommand(ctx){
+  const since = sinceOption(ctx.options.since);
+  const { powerCyclesMap } = buildGeneratorIndex(ctx.notes, ctx.registry);
+  let keys = Object.keys(powerCyclesMap);
+  if(ctx.options.site){
+    // same resolution as a Power Cycle bullet, so aliases and "IAD2-A" style names work
+    const res = resolveSiteName(ctx.registry, ctx.options.site);
+    const generatorIds = res.generators.map(g => g.id);
+    const key = res.site ? res.site.id : siteForHeading(ctx.registry, ctx.options.site).key;
+    keys = keys.filter(k => k === key);
+    if(generatorIds.length) keys.forEach(k => { powerCyclesMap[k] = powerCyclesMap[k].filter(p => !p.generatorIds.length || p.generatorIds.some(id => generatorIds.includes(id))); });
+  }
+  const rows = keys.flatMap(k => powerCyclesMap[k].map(p => {
+    const site = ctx.registry.sites.find(s => s.id === k);
+    return { dateKey: p.dateKey, site: site ? site.name : p.raw, siteKey: k, raw: p.raw, generatorIds: p.generatorIds, filename: p.filename, section: p.sectionId };
+  })).filter(p => !since || p.dateKey >= since).sort((a,b)=> b.dateKey.localeCompare(a.dateKey) || a.site.localeCompare(b.site));
+  if(ctx.options.json) return printJson(rows);
+  rows.forEach(p => console.log(`${p.dateKey}  ${p.raw}${p.raw === p.site ? "" : `  (${p.site})`}  ${p.filename}`));
+  console.log(`${rows.length} power cycle${rows.length===1?"":"s"}`);
+}
+
+// One row per bullet or paragraph, oldest note first, in the order they appear in the report
+function exportRows(ctx){
+  return ctx.notes.slice().reverse().flatMap(n => n.blocks.flatMap(b => {
+    const site = b.line === null || isPowerCycleTitle(b.title) ? null : siteForHeading(ctx.registry, b.title);
+    return b.sourceLines.map(l => ({
+      date: n.dateKey, filename: n.filename, section: b.title, site: site ? site.name : "", siteId: site && site.matched ? site.key : "",
+      line: l.line, kind: l.kind, depth: l.depth || 0, tags: tagsInText(l.text).join(" "), text: stripTags(l.text),
+    }));
+  }));
+}
+
+function exportCommand(ctx){
+  const format = (ctx.options.format || "json").toLowerCase();
+  if(!["json","csv"].includes(format)) throw new UsageError(`--format must be json or csv, not "${ctx.options.format}".`);
+  const rows = exportRows(ctx);
+  if(format === "json") return printJson(rows);
+  process.stdout.write(toCsv(["date","filename","section","site","siteId","line","kind","depth","tags","text"], rows));
+}
+
+const COMMANDS = { list: listCommand, search: searchCommand, generators: generatorsCommand, powercycles: powerCyclesCommand, export: exportCommand };
+
+// ---------- Main ----------
+function main(argv){
+  const args = parseArgs(argv);
+  const [command, ...positional] = args.positional;
+  if(args.options.help || !command){ console.log(USAGE); return; }
+  if(!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".`);
+  if(command !== "search" && positional.length) throw new UsageError(`Unexpected argument "${positional[0]}".`);
+  const notesSource = args.options.notes ? path.resolve(args.options.notes) : path.join(ROOT, "notes");
+  const sitesFile = args.options.sites ? path.resolve(args.options.sites) : path.join(ROOT, "sites.json");
+  const ctx = { positional, options: args.options, notes: loadNotes(notesSource), registry: loadRegistry(sitesFile, Boolean(args.options.sites)) };
+  COMMANDS[command](ctx);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch(err){
+  console.error(err.message);
+  if(err instanceof UsageError){ console.error("Run node cli.js --help for usage."); process.exit(2); }
+  process.exit(1);
+}
@@ -0,0 +1,566 @@
+/* core.js
+   - The note format, site registry, generator index, recurring-issue threads and search language, with no DOM code
+   - Loaded by index.html before app.js (as the PowerCycleCore global) and by cli.js / server.js via require("./core")
+*/
+
+(function(root, factory){
+  if(typeof module === "object" && module.exports) module.exports = factory();
+  else root.PowerCycleCore = factory();
+})(typeof self !== "undefined" ? self : this, function(){
+"use strict";
+
+// ---------- Helpers ----------
+function normalizeNameKey(s){ return String(s||"").toLowerCase().replace(/[^a-z0-9]+/g,""); }
+function dateKeyFromFilename(filename){
+  const base = filename.replace(/\.txt$/i,"");
+  const m = base.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if(!m) return base;
+  const yyyy=m[1], mm=String(parseInt(m[2],10)).padStart(2,"0"), dd=String(parseInt(m[3],10)).padStart(2,"0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+function slugFor(s){ return String(s||"").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"").slice(0,80); }
+
+// ---------- Parse notes into sections ----------
+// Each block also keeps the 1-based line of its heading and of every bullet/paragraph, for the linter.
+// Bullets nest by indentation (tabs count as 4 spaces): b.list is the tree, b.items stays the flat list
+// (depth-first) that search, action items and summaries read.
+function parseNoteToBlocks(text, filename){
+  const lines=String(text||"").split(/\r?\n/);
+  const blocks=[]; let current=null; let stack=[]; const slugCounts={};
+  // slug is the section's part of a #/note/…/section/<slug> link; repeated headings get -2, -3…
+  function flush(){ if(!current) return; const base = slugFor(current.title||"notes") || "section"; slugCounts[base] = (slugCounts[base]||0) + 1; current.slug = slugCounts[base] > 1 ? `${base}-${slugCounts[base]}` : base; if(!current.id) current.id = slugFor(`${filename}-${current.slug}`); blocks.push(current); current=null; }
+  function section(title, line){ stack = []; return { type:"section", title, items:[], list:[], paragraphs:[], id:null, line, sourceLines:[] }; }
+  lines.forEach((raw, i)=>{
+    const line=raw.replace(/\t/g,"    "); const t=line.trim();
+    if(!t){ return; }
+    const isHeading = t.endsWith(":") && !t.startsWith("-");
+    if(isHeading){ flush(); current=section(t.slice(0,-1), i+1); current.rawTitle = line; return; }
+    const isBullet = t.startsWith("- ");
+    if(!current) current=section("Notes", null);
+    if(isBullet){
+      const indent = line.length - line.trimStart().length;
+      const node = { text: t.slice(2), tags: tagsInText(t.slice(2)), line: i+1, children: [] };
+      while(stack.length && stack[stack.length-1].indent >= indent) stack.pop();
+      (stack.length ? stack[stack.length-1].node.children : current.list).push(node);
+      stack.push({ indent, node });
+      current.items.push(node.text); current.sourceLines.push({ line: i+1, kind: "item", text: node.text, depth: stack.length-1 });
+      return;
+    }
+    current.paragraphs.push(t); current.sourceLines.push({ line: i+1, kind: "paragraph", text: t });
+  });
+  flush();
+  if(blocks.length===0){ const empty = section("Notes", null); empty.slug = "notes"; empty.id = slugFor(`${filename}-notes`); return [empty]; }
+  return blocks;
+}
+
+// ---------- Status tags: [OPEN], [RESOLVED], [EQUIPMENT]… ----------
+const STATUS_TAG_RE = /\[([A-Z][A-Z0-9-]{2,})\]/g;
+
+function tagsInText(text){ return [...String(text||"").matchAll(STATUS_TAG_RE)].map(m => m[1]); }
+function stripTags(text){ return String(text||"").replace(STATUS_TAG_RE, " ").replace(/\s+/g, " ").trim(); }
+function sectionTags(b){ return new Set([].concat(b.items||[], b.paragraphs||[]).flatMap(tagsInText)); }
+function isPowerCycleTitle(title){ return /^power\s*cycle$/i.test(String(title||"").trim()); }
+
+// ---------- Search query language ----------
+// words (case-insensitive substring), "quoted phrases", /regex/, AND (implicit), OR, NOT or -term, ( … ),
+// site:"Fannie Mae", section:"Power Cycle", after:2026-01-01 (on or after), before:2026-02-01 (strictly before),
+// has:powercycle, has:actions, tag:open. Terms and site:/section: are matched per section; a note matches when one section does.
+const QUERY_FIELDS = ["site","section","after","before","has","tag"];
+const QUERY_HAS_VALUES = ["powercycle","actions"];
+
+class QuerySyntaxError extends Error {
+  constructor(message, pos){ super(message); this.name = "QuerySyntaxError"; this.pos = pos; }
+}
+
+function escapeRegExp(s){ return String(s).replace(/[.*+?^${}()|[\]\\]/g,"\\$&"); }
+
+function readQuoted(input, i){
+  const end = input.indexOf('"', i+1);
+  if(end === -1) throw new QuerySyntaxError(`Missing closing quote for the phrase at column ${i+1}.`, i);
+  return { value: input.slice(i+1, end), end: end+1 };
+}
+
+function readRegexLiteral(input, i){
+  let j = i+1, inClass = false;
+  for(; j < input.length; j++){
+    const c = input[j];
+    if(c === "\\"){ j++; continue; }
+    if(c === "[") inClass = true; else if(c === "]") inClass = false;
+    else if(c === "/" && !inClass) break;
+  }
+  if(j >= input.length) throw new QuerySyntaxError(`Missing closing / for the regex at column ${i+1}.`, i);
+  const source = input.slice(i+1, j);
+  let k = j+1; while(k < input.length && /[a-z]/i.test(input[k])) k++;
+  if(!source) throw new QuerySyntaxError(`Empty regex at column ${i+1}.`, i);
+  try { return { re: new RegExp(source, "i"), source, end: k }; }
+  catch(err){ throw new QuerySyntaxError(`Invalid regex /${source}/: ${err.message.replace(/^Invalid regular expression: /, "")}`, i); }
+}
+
+function normalizeQueryDate(value, field, pos){
+  const m = String(value).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if(!m) throw new QuerySyntaxError(`${field}: needs a date like 2026-01-21 (got "${value}").`, pos);
+  const d = new Date(Date.UTC(+m[1], m[2]-1, +m[3]));
+  if(d.getUTCMonth() !== m[2]-1 || d.getUTCDate() !== +m[3]) throw new QuerySyntaxError(`${field}: "${value}" is not a real date.`, pos);
+  return `${m[1]}-${String(parseInt(m[2],10)).padStart(2,"0")}-${String(parseInt(m[3],10)).padStart(2,"0")}`;
+}
+
+function tokenizeQuery(input){
+  const tokens = []; let i = 0;
+  while(i < input.length){
+    const c = input[i];
+    if(/\s/.test(c)){ i++; continue; }
+    if(c === "(" || c === ")"){ tokens.push({ type: c, pos: i }); i++; continue; }
+    if(c === '"'){ const q = readQuoted(input, i); tokens.push({ type: "text", value: q.value, pos: i }); i = q.end; continue; }
+    if(c === "/"){ const r = readRegexLiteral(input, i); tokens.push({ type: "regex", re: r.re, source: r.source, pos: i }); i = r.end; continue; }
+    // "-term" / -"phrase" / -(group) is NOT
+    if(c === "-" && i+1 < input.length && !/\s/.test(input[i+1]) && (i === 0 || /[\s(]/.test(input[i-1]))){ tokens.push({ type: "NOT", pos: i }); i++; continue; }
+
+    let j = i; while(j < input.length && !/[\s()"]/.test(input[j])) j++;
+    const word = input.slice(i, j);
+    const field = word.match(/^([A-Za-z]+):(.*)$/);
+    if(field){
+      const name = field[1].toLowerCase();
+      if(!QUERY_FIELDS.includes(name)) throw new QuerySyntaxError(`Unknown filter "${field[1]}:". Use ${QUERY_FIELDS.map(f => f+":").join(", ")} or put it in quotes.`, i);
+      let value = field[2];
+      if(!value && input[j] === '"'){ const q = readQuoted(input, j); value = q.value; j = q.end; }
+      if(!value.trim()) throw new QuerySyntaxError(`"${name}:" needs a value.`, i);
+      if(name === "after" || name === "before") value = normalizeQueryDate(value, name, i);
+      if(name === "tag") value = value.replace(/^\[|\]$/g, "").toUpperCase();
+      if(name === "has"){
+        value = value.toLowerCase().replace(/[^a-z]/g, "");
+        if(!QUERY_HAS_VALUES.includes(value)) throw new QuerySyntaxError(`has: supports ${QUERY_HAS_VALUES.join(", ")}.`, i);
+      }
+      tokens.push({ type: "field", field: name, value, pos: i }); i = j; continue;
+    }
+    if(word === "AND" || word === "OR" || word === "NOT") tokens.push({ type: word, pos: i });
+    else tokens.push({ type: "text", value: word, pos: i });
+    i = j;
+  }
+  return tokens;
+}
+
+function describeToken(t){ return t.type === "text" ? `"${t.value}"` : t.type === "field" ? `"${t.field}:"` : t.type === "regex" ? `/${t.source}/` : `"${t.type}"`; }
+
+// or := and (OR and)* ; and := unary ([AND] unary)* ; unary := NOT unary | primary ; primary := ( or ) | term
+function parseSearchQuery(input){
+  const tokens = tokenizeQuery(input);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isTermStart = t => Boolean(t) && (t.type === "text" || t.type === "regex" || t.type === "field" || t.type === "(" || t.type === "NOT");
+  const expectTerm = op => { if(!isTermStart(peek())) throw new QuerySyntaxError(`${op.type} at column ${op.pos+1} needs a term after it.`, op.pos); };
+  function parseOr(){
+    const nodes = [parseAnd()];
+    while(peek() && peek().type === "OR"){ const op = tokens[pos++]; expectTerm(op); nodes.push(parseAnd()); }
+    return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+  }
+  function parseAnd(){
+    const nodes = [parseUnary()];
+    for(;;){
+      const t = peek();
+      if(t && t.type === "AND"){ pos++; expectTerm(t); nodes.push(parseUnary()); }
+      else if(isTermStart(t)) nodes.push(parseUnary());
+      else break;
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+  }
+  function parseUnary(){
+    const t = peek();
+    if(t && t.type === "NOT"){ pos++; expectTerm(t); return { type: "not", node: parseUnary() }; }
+    return parsePrimary();
+  }
+  function parsePrimary(){
+    const t = tokens[pos++];
+    if(!t) throw new QuerySyntaxError("Query ends too early.", input.length);
+    if(t.type === "("){
+      if(peek() && peek().type === ")") throw new QuerySyntaxError(`Empty parentheses at column ${t.pos+1}.`, t.pos);
+      const node = parseOr();
+      if(!peek() || peek().type !== ")") throw new QuerySyntaxError(`Missing ) for the ( at column ${t.pos+1}.`, t.pos);
+      pos++;
+      return node;
+    }
+    if(t.type === "text") return { type: "text", value: t.value.toLowerCase() };
+    if(t.type === "regex") return { type: "regex", re: t.re, source: t.source };
+    if(t.type === "field") return { type: "field", field: t.field, value: t.value };
+    throw new QuerySyntaxError(`Unexpected ${describeToken(t)} at column ${t.pos+1}.`, t.pos);
+  }
+  const ast = parseOr();
+  if(pos < tokens.length){ const t = tokens[pos]; throw new QuerySyntaxError(`Unexpected ${describeToken(t)} at column ${t.pos+1}.`, t.pos); }
+  return ast;
+}
+
+// Sources for everything worth highlighting (terms that aren't under a NOT)
+function collectHighlightSources(node, out=[], negated=false){
+  if(node.type === "and" || node.type === "or") node.nodes.forEach(n => collectHighlightSources(n, out, negated));
+  else if(node.type === "not") collectHighlightSources(node.node, out, !negated);
+  else if(!negated && node.type === "text" && node.value) out.push(escapeRegExp(node.value));
+  else if(!negated && node.type === "regex") out.push(node.source);
+  return out;
+}
+
+let compiledSearchCache = { input: null, search: null };
+
+// Returns null for an empty query; throws QuerySyntaxError for a malformed one
+function compileSearch(input){
+  const text = String(input||"").trim();
+  if(!text) return null;
+  if(compiledSearchCache.input === text) return compiledSearchCache.search;
+  const ast = parseSearchQuery(text);
+  const sources = collectHighlightSources(ast);
+  const search = { text, ast, highlightRe: sources.length ? new RegExp(sources.map(src => `(?:${src})`).join("|"), "gi") : null };
+  compiledSearchCache = { input: text, search };
+  return search;
+}
+
+function sectionText(b){ return [b.title||""].concat(b.paragraphs||[], b.items||[]).join("\n"); }
+
+function matchQueryNode(node, ctx){
+  switch(node.type){
+    case "and": return node.nodes.every(n => matchQueryNode(n, ctx));
+    case "or": return node.nodes.some(n => matchQueryNode(n, ctx));
+    case "not": return !matchQueryNode(node.node, ctx);
+    case "text": return ctx.lower.includes(node.value);
+    case "regex": return node.re.test(ctx.text);
+    case "field": {
+      const v = normalizeNameKey(node.value);
+      if(node.field === "site") return Boolean(v) && (normalizeNameKey(ctx.site.name).includes(v) || normalizeNameKey(ctx.title).includes(v) || ctx.site.key === node.value.toLowerCase());
+      if(node.field === "section") return Boolean(v) && normalizeNameKey(ctx.title).includes(v);
+      if(node.field === "after") return ctx.note.dateKey >= node.value;
+      if(node.field === "before") return ctx.note.dateKey < node.value;
+      if(node.field === "tag") return ctx.tags.has(node.value);
+      if(node.field === "has") return node.value === "powercycle" ? ctx.hasPowerCycle : ctx.hasActions;
+      return false;
+    }
+  }
+  return false;
+}
+
+function countMatches(text, re){
+  if(!re) return 0;
+  const m = String(text||"").match(re);
+  return m ? m.length : 0;
+}
+
+// { sections: matching blocks, hits: highlighted term matches inside them }; site: filters resolve against registry
+function searchNote(note, search, registry){
+  const hasPowerCycle = note.blocks.some(b => isPowerCycleTitle(b.title) && (b.items||[]).length > 0);
+  const hasActions = note.blocks.some(b => (b.items||[]).some(it => parseActionItem(it)));
+  const sections = note.blocks.filter(b => {
+    const text = sectionText(b);
+    return matchQueryNode(search.ast, { note, title: b.title||"", site: siteForHeading(registry, b.title), text, lower: text.toLowerCase(), tags: sectionTags(b), hasPowerCycle, hasActions });
+  });
+  const hits = sections.reduce((sum, b) => sum + countMatches(sectionText(b), search.highlightRe), 0);
+  return { sections, hits };
+}
+
+// [start, end) of every non-empty match
+function matchRanges(text, re){
+  const ranges = []; if(!re) return ranges;
+  re.lastIndex = 0; let m;
+  while((m = re.exec(text))){
+    if(!m[0].length){ re.lastIndex++; continue; }
+    ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+// ---------- Site / generator registry (sites.json) ----------
+// sites.json: { sites: [{ id, name, customer, location, aliases: [], generators: [{ id, name, aliases: [] }] }] }
+// Site aliases are other names for the site; generator aliases are full names for that one generator
+// ("IAD2A Beachwood"). "<site><generator>" combos such as "IAD2-A" or "ORD1 Gen 7" resolve automatically.
+const MULTI_GEN_RE = /^(.+?)[\s\-–:,]*\bgens?\b\.?[\s\-:]*(.+)$/i;   // "ORD1- Gens 7 & 10"
+const GEN_LIST_SPLIT_RE = /\s*(?:&|,|\/|\+|\band\b)\s*/i;
+
+function generatorKeys(g){
+  const keys = [g.id, g.name].map(normalizeNameKey).filter(Boolean);
+  return [...new Set(keys.concat(keys.map(k => k.replace(/^gens?/, "")).filter(Boolean)))];
+}
+
+function siteKeys(site){ return [...new Set([site.name, site.id].concat(site.aliases).map(normalizeNameKey).filter(Boolean))]; }
+
+function createSiteRegistry(data){
+  const sites = (data && Array.isArray(data.sites) ? data.sites : []).filter(s => s && s.id && s.name).map(s => ({
+    id: String(s.id), name: String(s.name), customer: s.customer || "", location: s.location || "",
+    aliases: Array.isArray(s.aliases) ? s.aliases.map(String) : [],
+    generators: (Array.isArray(s.generators) ? s.generators : []).filter(g => g && g.id).map(g => ({
+      id: String(g.id), name: String(g.name || g.id), aliases: Array.isArray(g.aliases) ? g.aliases.map(String) : [],
+    })),
+  }));
+  const lookup = new Map(); // normalized name -> { site, generator }
+  const add = (key, site, generator=null) => { if(key && !lookup.has(key)) lookup.set(key, { site, generator }); };
+  // plain site names win over generator combos
+  sites.forEach(site => siteKeys(site).forEach(k => add(k, site)));
+  sites.forEach(site => site.generators.forEach(g => {
+    g.aliases.forEach(a => add(normalizeNameKey(a), site, g));
+    siteKeys(site).forEach(sk => generatorKeys(g).forEach(gk => { add(sk + gk, site, g); add(`${sk}gen${gk}`, site, g); }));
+  }));
+  return { data: { sites }, sites, lookup, byId: Object.fromEntries(sites.map(s => [s.id, s])) };
+}
+
+// "IAD1- A" under site IAD1 -> generator A
+function findGenerator(site, token){
+  let key = normalizeNameKey(token);
+  const prefix = siteKeys(site).filter(sk => key.startsWith(sk) && key.length > sk.length).sort((a,b)=> b.length - a.length)[0];
+  if(prefix) key = key.slice(prefix.length);
+  key = key.replace(/^gens?/, "") || key;
+  return site.generators.find(g => generatorKeys(g).includes(key)) || null;
+}
+
+// Resolves a heading or Power Cycle bullet to { site, generators, unknownGenerators } (site null when unmatched)
+function resolveSiteName(registry, text){
+  const raw = String(text||"").trim();
+  const result = { raw, sitePart: raw, genTokens: [], site: null, generators: [], unknownGenerators: [] };
+  const whole = registry.lookup.get(normalizeNameKey(raw));
+  if(whole){ result.site = whole.site; if(whole.generator) result.generators.push(whole.generator); return result; }
+
+  const m = raw.match(MULTI_GEN_RE);
+  if(!m) return result;
+  result.sitePart = m[1].trim();
+  result.genTokens = m[2].split(GEN_LIST_SPLIT_RE).map(t => t.trim()).filter(Boolean);
+  const hit = registry.lookup.get(normalizeNameKey(result.sitePart));
+  if(!hit) return result;
+  result.site = hit.site;
+  result.genTokens.forEach(t => {
+    const g = findGenerator(hit.site, t);
+    if(g){ if(!result.generators.includes(g)) result.generators.push(g); }
+    else result.unknownGenerators.push(t);
+  });
+  return result;
+}
+
+// Site used to group things by (action items, summaries…): registry site when known, else the heading itself
+function siteForHeading(registry, title){
+  const res = resolveSiteName(registry, title);
+  if(res.site) return { key: res.site.id, name: res.site.name, matched: true };
+  return { key: normalizeNameKey(title), name: String(title||"").trim(), matched: false };
+}
+
+// Adds an unmatched heading to the registry data: as an alias of an existing site, or as a new site
+function addMappingToRegistryData(data, resolution, siteId){
+  const next = JSON.parse(JSON.stringify(data && Array.isArray(data.sites) ? data : { sites: [] }));
+  let site = next.sites.find(s => s.id === siteId);
+  if(!site){
+    let id = slugFor(resolution.sitePart) || "site"; let n = 2;
+    while(next.sites.some(s => s.id === id)) id = `${slugFor(resolution.sitePart)}-${n++}`;
+    site = { id, name: resolution.sitePart, customer: "", location: "", aliases: [], generators: [] };
+    next.sites.push(site);
+  } else if(!siteKeys(createSiteRegistry({ sites: [site] }).sites[0]).includes(normalizeNameKey(resolution.sitePart))){
+    site.aliases = (site.aliases || []).concat(resolution.sitePart);
+  }
+  site.generators = site.generators || [];
+  const normalized = createSiteRegistry({ sites: [site] }).sites[0];
+  resolution.genTokens.forEach(t => {
+    if(findGenerator(normalized, t)) return;
+    const keys = siteKeys(normalized).concat(normalizeNameKey(resolution.sitePart));
+    let rest = normalizeNameKey(t);
+    const prefix = keys.filter(k => rest.startsWith(k) && rest.length > k.length).sort((a,b)=> b.length - a.length)[0];
+    if(prefix) rest = rest.slice(prefix.length);
+    rest = rest.replace(/^gens?/, "") || rest;
+    if(!rest || site.generators.some(g => g.id === rest)) return;
+    const g = { id: rest, name: /^\d+$/.test(rest) ? `Gen ${rest}` : rest.toUpperCase(), aliases: [] };
+    site.generators.push(g); normalized.generators.push(g);
+  });
+  return next;
+}
+
+// ---------- Build generator index (HEADINGS only) & power cycles ----------
+// genKey is "<siteId>" or "<siteId>/<generatorId>" for registry matches, the normalized heading otherwise.
+// Returns { generatorsIndex, generatorsDisplay, generatorsInfo, powerCyclesMap, needsMapping }:
+//   generatorsIndex  genKey -> [{ noteId, filename, dateKey, sectionId, snippet }]
+//   generatorsInfo   genKey -> { siteId, generatorId, matched }
+//   powerCyclesMap   site id (or normalized name) -> [{ dateKey, noteId, filename, sectionId, raw, generatorIds }]
+//   needsMapping     headings / power cycle names that don't resolve against the registry
+function buildGeneratorIndex(noteList, registry){
+  const generatorsIndex = {}, generatorsDisplay = {}, generatorsInfo = {}, powerCyclesMap = {};
+  const reserved = new Set(["power cycle","powercycle"]);
+  const unmatched = {};
+  const noteUnmatched = (res, source, n, b) => {
+    const key = normalizeNameKey(res.raw);
+    if(!unmatched[key]) unmatched[key] = { key, raw: res.raw, resolution: res, source, dateKeys: [], noteId: n.id, sectionId: b.id };
+    const u = unmatched[key];
+    if(!u.dateKeys.includes(n.dateKey)) u.dateKeys.push(n.dateKey);
+    if(n.dateKey >= u.dateKeys.reduce((a,d)=> d>a?d:a, "")){ u.noteId = n.id; u.sectionId = b.id; }
+  };
+  const addMention = (genKey, display, info, n, b) => {
+    if(!generatorsDisplay[genKey]) generatorsDisplay[genKey] = display;
+    if(!generatorsInfo[genKey]) generatorsInfo[genKey] = info;
+    if(!generatorsIndex[genKey]) generatorsIndex[genKey] = [];
+    generatorsIndex[genKey].push({
+      noteId: n.id, filename: n.filename, dateKey: n.dateKey, sectionId: b.id, snippet: snippetFromSection(b)
+    });
+  };
+  noteList.forEach(n=>{
+    n.blocks.forEach(b=>{
+      if(!b.title || b.line===null) return; // text above the first heading isn't a site
+      const titleTrim = b.title.trim();
+      const lower = titleTrim.toLowerCase();
+      if(reserved.has(lower)) return; // skip Power Cycle
+      const res = resolveSiteName(registry, titleTrim);
+      if(res.site){
+        // "ORD1- Gens 7 & 10" -> one entry per generator
+        if(res.generators.length) res.generators.forEach(g => addMention(`${res.site.id}/${g.id}`, `${res.site.name} · ${g.name}`, { siteId: res.site.id, generatorId: g.id, matched: true }, n, b));
+        else addMention(res.site.id, res.site.name, { siteId: res.site.id, generatorId: null, matched: true }, n, b);
+        if(res.unknownGenerators.length) noteUnmatched(res, "heading", n, b);
+        return;
+      }
+      const genKey = normalizeNameKey(titleTrim);
+      if(!genKey) return;
+      addMention(genKey, titleTrim, { siteId: null, generatorId: null, matched: false }, n, b);
+      noteUnmatched(res, "heading", n, b);
+    });
+    n.blocks.forEach(b=>{
+      if(!b.title) return;
+      if(isPowerCycleTitle(b.title)){
+        // only top-level bullets name sites; nested ones are notes about that cycle
+        (b.list || (b.items||[]).map(text => ({ text }))).forEach(node=>{
+          const item = stripTags(node.text);
+          if(!item) return;
+          const res = resolveSiteName(registry, item);
+          const key = res.site ? res.site.id : normalizeNameKey(item);
+          if(!res.site) noteUnmatched(res, "power cycle", n, b);
+          if(!powerCyclesMap[key]) powerCyclesMap[key]=[];
+          powerCyclesMap[key].push({ dateKey: n.dateKey, noteId: n.id, filename: n.filename, sectionId: b.id, raw: item, generatorIds: res.generators.map(g => g.id) });
+        });
+      }
+    });
+  });
+  Object.keys(generatorsIndex).forEach(k => generatorsIndex[k].sort((a,b)=> b.dateKey.localeCompare(a.dateKey)));
+  Object.keys(powerCyclesMap).forEach(k => powerCyclesMap[k].sort((a,b)=> b.dateKey.localeCompare(a.dateKey)));
+  const needsMapping = Object.values(unmatched).sort((a,b)=> a.raw.localeCompare(b.raw));
+  return { generatorsIndex, generatorsDisplay, generatorsInfo, powerCyclesMap, needsMapping };
+}
+
+function snippetFromSection(section){ const all = [].concat(section.paragraphs||[]).concat(section.items||[]); if(!all.length) return ""; const s = String(all[0]).slice(0,140); return s + (String(all[0]).length>140?"…":""); }
+
+// ---------- find power cycles for genKey ----------
+// Power cycles are logged per site; a generator entry shows its site's cycles. Unmatched names only match exactly.
+// index is what buildGeneratorIndex() returned; one entry per date, newest first
+function findPowerCycles(index, genKey){
+  const info = index.generatorsInfo[genKey];
+  const siteKey = info && info.siteId ? info.siteId : genKey;
+  const matches = (index.powerCyclesMap[siteKey] || []).filter(p => !info || !info.generatorId || !p.generatorIds.length || p.generatorIds.includes(info.generatorId));
+  const seen = new Set(); const out=[];
+  for(const p of matches){ if(seen.has(p.dateKey)) continue; seen.add(p.dateKey); out.push(p); }
+  out.sort((a,b)=> b.dateKey.localeCompare(a.dateKey)); return out;
+}
+
+// ---------- Recurring issues (threads of similar bullets per site) ----------
+// A site's bullets join the thread of their best ISSUE_CATEGORIES match (most hits, then earliest hit);
+// anything else joins the first thread whose opening bullet shares enough words with it (Jaccard ≥ ISSUE_SIMILARITY).
+const ISSUE_CATEGORIES = [
+  { id: "comms", label: "Comms outage", re: /\bcomms?\b|\bcommunication(?:s| issues?)\b|\boffline\b|\bmodem\b|\bnot reporting\b/gi },
+  { id: "data-gaps", label: "Data gaps", re: /\bgaps?\b|\bmissing data\b|\bno (?:data|readings)\b|\bdrop-?outs?\b/gi },
+  { id: "run-events", label: "Run event problems", re: /\brun events?\b|\bmissing runs?\b|\brun signal\b/gi },
+  { id: "equipment", label: "Thermocouple / pressure faults", re: /\bthermocouples?\b|\bpressures?\b|\bsensors?\b|\btransducers?\b|\bequipment issue\b/gi },
+];
+const ISSUE_SIMILARITY = 0.4;
+const ISSUE_STOPWORDS = new Set(["the","and","for","with","that","this","there","are","was","were","has","have","had","not","but","from","they","them","some","any","all","its","our","out","still","been","will","also","should","would","could","into","than","then","which","what","when","where","about","after","before","because","since","only","more","few","number"]);
+const DAY_MS = 24*60*60*1000;
+
+function dayNumber(dateKey){ const m = String(dateKey).match(/^(\d{4})-(\d{2})-(\d{2})$/); return m ? Math.round(Date.UTC(+m[1], +m[2]-1, +m[3]) / DAY_MS) : NaN; }
+function dateKeyFromDayNumber(day){ return new Date(day*DAY_MS).toISOString().slice(0,10); }
+
+function issueWords(text){ return new Set((stripTags(text).toLowerCase().match(/[a-z][a-z0-9]{2,}/g) || []).filter(w => !ISSUE_STOPWORDS.has(w))); }
+function issueCategory(text){
+  let best = null;
+  ISSUE_CATEGORIES.forEach(c => {
+    const hits = [...String(text).matchAll(c.re)];
+    if(hits.length && (!best || hits.length > best.hits || (hits.length===best.hits && hits[0].index < best.at))) best = { category: c, hits: hits.length, at: hits[0].index };
+  });
+  return best ? best.category : null;
+}
+function wordSimilarity(a, b){ let shared = 0; a.forEach(w => { if(b.has(w)) shared++; }); return shared ? shared / (a.size + b.size - shared) : 0; }
+
+// Threads across all notes, longest-running first:
+//   { key, siteKey, site, category, title, mentions: [{ dateKey, noteId, filename, sectionId, text }] (newest first),
+//     firstDateKey, lastDateKey, meetings, mentionedIn, ongoing, resolved, powerCycle }
+// meetings counts the notes that discussed the site from the first mention to the last; ongoing means it came up in
+// the site's latest meeting without a [RESOLVED] tag. powerCycle is the site's cycle closest to the last mention
+// (within windowDays) for threads that ended, else null. powerCyclesMap is buildGeneratorIndex()'s.
+function buildIssueThreads(noteList, registry, powerCyclesMap = {}, { windowDays = 14 } = {}){
+  const bySite = {}; // siteKey -> { name, meetings: Set(dateKey), threads }
+  noteList.slice().sort((a,b)=> a.dateKey.localeCompare(b.dateKey)).forEach(n => n.blocks.forEach(b => {
+    if(!b.title || b.line===null || isPowerCycleTitle(b.title)) return;
+    const site = siteForHeading(registry, b.title);
+    if(!site.key) return;
+    const entry = bySite[site.key] = bySite[site.key] || { name: site.name, meetings: new Set(), threads: [] };
+    entry.meetings.add(n.dateKey);
+    (b.items||[]).forEach(text => {
+      const mention = { dateKey: n.dateKey, noteId: n.id, filename: n.filename, sectionId: b.id, text };
+      const c = issueCategory(text);
+      if(c){
+        let thread = entry.threads.find(t => t.category===c.id);
+        if(!thread) entry.threads.push(thread = { key: `${site.key}|${c.id}`, category: c.id, title: c.label, words: null, mentions: [] });
+        thread.mentions.push(mention);
+        return;
+      }
+      const words = issueWords(text);
+      if(!words.size) return;
+      let thread = entry.threads.find(t => t.words && wordSimilarity(t.words, words) >= ISSUE_SIMILARITY);
+      if(!thread) entry.threads.push(thread = { key: `${site.key}|${entry.threads.length+1}`, category: null, title: stripTags(text), words, mentions: [] });
+      thread.mentions.push(mention);
+    });
+  }));
+
+  const threads = [];
+  Object.keys(bySite).forEach(siteKey => {
+    const entry = bySite[siteKey];
+    const meetings = [...entry.meetings].sort();
+    entry.threads.forEach(t => {
+      const dates = [...new Set(t.mentions.map(m => m.dateKey))].sort();
+      const first = dates[0], last = dates[dates.length-1];
+      const resolved = t.mentions.some(m => m.dateKey===last && tagsInText(m.text).includes("RESOLVED"));
+      const ongoing = last===meetings[meetings.length-1] && !resolved;
+      const near = ongoing ? [] : (powerCyclesMap[siteKey] || []).map(p => ({ p, gap: Math.abs(dayNumber(p.dateKey) - dayNumber(last)) })).filter(c => c.gap <= windowDays).sort((a,b)=> a.gap - b.gap);
+      threads.push({
+        key: t.key, siteKey, site: entry.name, category: t.category, title: t.title, mentions: t.mentions.slice().reverse(),
+        firstDateKey: first, lastDateKey: last, meetings: meetings.filter(d => d >= first && d <= last).length, mentionedIn: dates.length,
+        ongoing, resolved, powerCycle: near.length ? near[0].p : null,
+      });
+    });
+  });
+  return threads.sort((a,b)=> b.meetings - a.meetings || b.mentionedIn - a.mentionedIn || b.lastDateKey.localeCompare(a.lastDateKey) || a.title.localeCompare(b.title));
+}
+
+// ---------- Action items (commitments found in bullets) ----------
+// Explicit: "[ ] @Bish reset the PLC clock" / "[x] @Bish ..."; heuristic: a person committing to something
+// ("@Bish will …", or "Bish is going to …" once Bish is a known owner) or an instruction ("Go back and …")
+const ACTION_MARKER_RE = /^\[( |x|X)\]\s*/;
+const ACTION_OWNER_RE = /(^|\s)@([A-Za-z][\w.-]*)/;
+const ACTION_OWNERS_RE = new RegExp(ACTION_OWNER_RE.source, "g");
+const ACTION_SUBJECT_RE = /^(@?)([A-Za-z][\w.-]*)\s+(?:(?:is|are)\s+going\s+to|will|needs?\s+to)\b/;
+const ACTION_INSTRUCTION_RE = /^(?:go\s+back\s+and|follow[\s-]?up)\b/i;
+
+// Everyone @mentioned in the notes' bullets: the names a plain "Bish will …" can be attributed to
+function actionOwners(noteList){
+  const owners = new Map(); // lowercase -> name as first written
+  noteList.forEach(n => n.blocks.forEach(b => (b.items||[]).forEach(it => {
+    for(const m of String(it).matchAll(ACTION_OWNERS_RE)){ const key = m[2].toLowerCase(); if(!owners.has(key)) owners.set(key, m[2]); }
+  })));
+  return [...owners.values()];
+}
+
+// Returns null when the bullet isn't an action item; knownOwners is actionOwners()'s list
+function parseActionItem(itemText, knownOwners = []){
+  let text = String(itemText||"").trim();
+  let explicit = false, done = false, owner = null;
+  const marker = text.match(ACTION_MARKER_RE);
+  if(marker){ explicit = true; done = marker[1].toLowerCase()==="x"; text = text.slice(marker[0].length).trim(); }
+  const subject = text.match(ACTION_SUBJECT_RE);
+  const known = subject && !subject[1] ? knownOwners.find(o => o.toLowerCase()===subject[2].toLowerCase()) : null;
+  const mention = text.match(ACTION_OWNER_RE);
+  if(mention){ owner = mention[2]; text = (text.slice(0, mention.index) + mention[1] + text.slice(mention.index + mention[0].length)).trim(); }
+  else if(known) owner = known;
+  if(!explicit && !(subject && (subject[1] || known)) && !ACTION_INSTRUCTION_RE.test(text)) return null;
+  return { text, owner, explicit, done };
+}
+
+return {
+  normalizeNameKey, dateKeyFromFilename, slugFor,
+  parseNoteToBlocks, STATUS_TAG_RE, tagsInText, stripTags, sectionTags, isPowerCycleTitle,
+  QuerySyntaxError, compileSearch, searchNote, sectionText, countMatches, matchRanges, escapeRegExp,
+  createSiteRegistry, findGenerator, resolveSiteName, siteForHeading, addMappingToRegistryData,
+  buildGeneratorIndex, findPowerCycles, snippetFromSection,
+  DAY_MS, dayNumber, dateKeyFromDayNumber, ISSUE_CATEGORIES, buildIssueThreads,
+  ACTION_MARKER_RE, actionOwners, parseActionItem,
+};
+});
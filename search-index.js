@@ -0,0 +1,78 @@
+/* search-index.js
+   - Inverted index over note bodies: token -> ids of the notes that contain it
+   - Used inside search-worker.js, and directly by app.js when a Worker can't be started (e.g. file://)
+   - Only narrows the candidates; app.js still runs the full query against the notes that come back
+*/
+
+function createSearchIndex(){
+  const postings = new Map(); // token -> Set(noteId)
+  const docs = new Map();     // noteId -> [tokens]
+  const MIN_SUFFIX = 3;       // shorter search parts fall back to scanning the vocabulary
+  let suffixList = null;      // sorted [suffix, token] pairs; dropped whenever the vocabulary changes
+
+  function tokenize(text){ return String(text||"").toLowerCase().match(/[a-z0-9]+/g) || []; }
+
+  function add(id, text){
+    remove(id);
+    const tokens = [...new Set(tokenize(text))];
+    docs.set(id, tokens);
+    tokens.forEach(t => { let ids = postings.get(t); if(!ids){ postings.set(t, ids = new Set()); suffixList = null; } ids.add(id); });
+  }
+
+  function remove(id){
+    const tokens = docs.get(id);
+    if(!tokens) return;
+    tokens.forEach(t => { const ids = postings.get(t); ids.delete(id); if(!ids.size){ postings.delete(t); suffixList = null; } });
+    docs.delete(id);
+  }
+
+  function clear(){ postings.clear(); docs.clear(); suffixList = null; }
+
+  function intersect(a, b){ const out = new Set(); a.forEach(id => { if(b.has(id)) out.add(id); }); return out; }
+
+  // Every suffix of every token, so a substring lookup becomes a prefix lookup (binary search)
+  function suffixes(){
+    if(suffixList) return suffixList;
+    suffixList = [];
+    postings.forEach((ids, token) => { for(let i = 0; i <= token.length - MIN_SUFFIX; i++) suffixList.push([token.slice(i), token]); });
+    suffixList.sort((a,b)=> a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+    return suffixList;
+  }
+
+  // Search terms are substrings ("comm" finds "comms", "gen7" finds "ord1gen7")
+  function idsForPart(part){
+    const out = new Set();
+    if(part.length < MIN_SUFFIX){
+      postings.forEach((ids, token) => { if(token.includes(part)) ids.forEach(id => out.add(id)); });
+      return out;
+    }
+    const list = suffixes();
+    let lo = 0, hi = list.length;
+    while(lo < hi){ const mid = (lo + hi) >> 1; if(list[mid][0] < part) lo = mid + 1; else hi = mid; }
+    for(let i = lo; i < list.length && list[i][0].startsWith(part); i++) postings.get(list[i][1]).forEach(id => out.add(id));
+    return out;
+  }
+
+  // A term like "data gap" or "10:123" must contain all of its word pieces
+  function idsForTerm(term){
+    const parts = tokenize(term);
+    if(!parts.length) return null;
+    return parts.reduce((acc, part) => acc ? intersect(acc, idsForPart(part)) : idsForPart(part), null);
+  }
+
+  // plan: { type: "term", value } | { type: "and" | "or", nodes: [plan] } ; null means "can't narrow, check everything"
+  function candidates(plan){
+    if(!plan) return null;
+    if(plan.type === "term") return idsForTerm(plan.value);
+    const sets = plan.nodes.map(candidates);
+    if(plan.type === "and"){
+      const known = sets.filter(Boolean);
+      return known.length ? known.reduce(intersect) : null;
+    }
+    if(sets.some(s => !s)) return null;
+    const out = new Set(); sets.forEach(s => s.forEach(id => out.add(id)));
+    return out;
+  }
+
+  return { add, remove, clear, candidates, size: () => docs.size };
+}
@@ -0,0 +1,20 @@
+/* search-worker.js
+   - Builds the search index off the main thread as note bodies arrive
+   - Messages in:  { type: "add", id, text } | { type: "remove", id } | { type: "clear" } | { type: "query", seq, plan }
+   - Messages out: { type: "result", seq, ids: [noteId] | null }
+*/
+
+importScripts("search-index.js");
+
+const index = createSearchIndex();
+
+self.onmessage = (e)=>{
+  const msg = e.data || {};
+  if(msg.type === "add") index.add(msg.id, msg.text);
+  else if(msg.type === "remove") index.remove(msg.id);
+  else if(msg.type === "clear") index.clear();
+  else if(msg.type === "query"){
+    const ids = index.candidates(msg.plan);
+    self.postMessage({ type: "result", seq: msg.seq, ids: ids ? [...ids] : null });
+  }
+};
@@ -0,0 +1,290 @@
+/* server.js
+   - Serves the app (index.html, app.js, core.js, styles.css, template.txt, templates.json, notes/…) as static files
+   - Small JSON API for weekly reports:
+       GET    /api/notes              -> manifest (same array as notes/notes.json: { filename, dateKey, headings, size, hash })
+       POST   /api/notes/:filename    -> upload a new report (409 if that date already exists)
+       PUT    /api/notes/:filename    -> replace (or create) a report
+       DELETE /api/notes/:filename    -> delete a report
+       GET    /api/sites              -> site/generator registry (sites.json)
+       PUT    /api/sites              -> replace sites.json (used by "Needs mapping" in the Generators view)
+   - notes/notes.json is regenerated from the notes folder after every write (temp file + rename)
+   - Only the app's own files are served, and writes from other sites' pages are refused
+   Run with: node server.js   (PORT defaults to 8080; HOST to 127.0.0.1, so set HOST=0.0.0.0 to share it on the network)
+   node server.js --manifest  rewrites notes/notes.json and exits (for static hosting)
+*/
+
+const http = require("http");
+const fs = require("fs");
+const crypto = require("crypto");
+const fsp = fs.promises;
+const path = require("path");
+const { parseNoteToBlocks } = require("./core");
+
+const ROOT = __dirname;
+const NOTES_DIR = path.join(ROOT, "notes");
+const MANIFEST = path.join(NOTES_DIR, "notes.json");
+const SITES = path.join(ROOT, "sites.json");
+const PORT = parseInt(process.env.PORT || "8080", 10);
+const HOST = process.env.HOST || "127.0.0.1";
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+// What the browser loads; the rest of the folder (server.js, cli.js, test/, package.json…) isn't served
+const PUBLIC_FILES = new Set(["index.html", "app.js", "core.js", "search-index.js", "search-worker.js", "styles.css", "template.txt", "templates.json", "sites.json"]);
+const PUBLIC_DIRS = new Set(["notes", "templates"]);
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+class HttpError extends Error {
+  constructor(status, message){ super(message); this.status = status; }
+}
+
+// ---------- Helpers ----------
+// Same rules as dateKeyFromFilename() in core.js: YYYY-M-D.txt, normalized to YYYY-MM-DD.txt
+function reportFilename(name){
+  const base = String(name || "").trim();
+  const m = base.match(/^(\d{4})-(\d{1,2})-(\d{1,2})\.txt$/i);
+  if(!m) throw new HttpError(400, `Invalid report name "${base}". Use YYYY-MM-DD.txt (for example 2026-01-21.txt).`);
+  const yyyy = m[1], mm = String(parseInt(m[2],10)).padStart(2,"0"), dd = String(parseInt(m[3],10)).padStart(2,"0");
+  const d = new Date(`${yyyy}-${mm}-${dd}T00:00:00Z`);
+  if(isNaN(d.getTime()) || d.getUTCMonth()+1 !== parseInt(mm,10) || d.getUTCDate() !== parseInt(dd,10)){
+    throw new HttpError(400, `Invalid date in report name "${base}".`);
+  }
+  return `${yyyy}-${mm}-${dd}.txt`;
+}
+
+function dateKeyOf(filename){
+  try { return reportFilename(filename).replace(/\.txt$/i,""); } catch(e){ return filename.replace(/\.txt$/i,""); }
+}
+
+function sendJson(res, status, body){
+  const data = JSON.stringify(body, null, 2);
+  res.writeHead(status, { "Content-Type": CONTENT_TYPES[".json"], "Cache-Control": "no-store" });
+  res.end(data);
+}
+
+function readBody(req){
+  return new Promise((resolve, reject)=>{
+    const chunks = []; let size = 0;
+    req.on("data", chunk=>{
+      size += chunk.length;
+      if(size > MAX_BODY_BYTES){ reject(new HttpError(413, "Report is too large.")); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", ()=> resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function sitesData(buf){
+  let data;
+  try { data = JSON.parse(buf.toString("utf8")); } catch(e){ throw new HttpError(400, "sites.json must be valid JSON."); }
+  if(!data || !Array.isArray(data.sites)) throw new HttpError(400, 'sites.json must look like { "sites": [...] }.');
+  const ids = new Set();
+  data.sites.forEach((site, i)=>{
+    if(!site || typeof site.id !== "string" || !site.id || typeof site.name !== "string" || !site.name){
+      throw new HttpError(400, `Site #${i+1} needs a string id and name.`);
+    }
+    if(ids.has(site.id)) throw new HttpError(400, `Duplicate site id "${site.id}".`);
+    ids.add(site.id);
+    if(site.aliases !== undefined && !Array.isArray(site.aliases)) throw new HttpError(400, `Site "${site.id}": aliases must be an array.`);
+    if(site.generators !== undefined && !Array.isArray(site.generators)) throw new HttpError(400, `Site "${site.id}": generators must be an array.`);
+  });
+  return data;
+}
+
+function reportText(buf){
+  if(buf.includes(0)) throw new HttpError(415, "Reports must be plain .txt files.");
+  const text = buf.toString("utf8");
+  if(!text.trim()) throw new HttpError(400, "Report is empty.");
+  return text;
+}
+
+// ---------- Notes folder & manifest ----------
+async function listReportFiles(){
+  const entries = await fsp.readdir(NOTES_DIR, { withFileTypes: true });
+  return entries.filter(e => e.isFile() && /\.txt$/i.test(e.name)).map(e => e.name).sort();
+}
+
+// Finds an existing file for the same date, even if it was hand-copied as e.g. 2026-1-14.txt
+async function findExistingReport(filename){
+  const dateKey = dateKeyOf(filename);
+  const files = await listReportFiles();
+  return files.find(f => dateKeyOf(f) === dateKey) || null;
+}
+
+async function writeFileAtomic(file, data){
+  const tmp = `${file}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmp, data, "utf8");
+  try { await fsp.rename(tmp, file); }
+  catch(err){ await fsp.unlink(tmp).catch(()=>{}); throw err; }
+}
+
+// Section headings as the app parses them (text above the first heading isn't one)
+function noteHeadings(text, filename){
+  return parseNoteToBlocks(text, filename).filter(b => b.line !== null).map(b => b.title);
+}
+
+// filename -> { mtimeMs, size, entry }, so unchanged reports aren't re-read on every write
+const manifestCache = new Map();
+
+async function manifestEntry(filename){
+  const file = path.join(NOTES_DIR, filename);
+  const stat = await fsp.stat(file);
+  const cached = manifestCache.get(filename);
+  if(cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.entry;
+  const text = await fsp.readFile(file, "utf8");
+  const entry = {
+    filename,
+    dateKey: dateKeyOf(filename),
+    headings: noteHeadings(text, filename),
+    size: stat.size,
+    hash: crypto.createHash("sha1").update(text).digest("hex").slice(0, 16),
+  };
+  manifestCache.set(filename, { mtimeMs: stat.mtimeMs, size: stat.size, entry });
+  return entry;
+}
+
+async function buildManifest(){
+  const files = await listReportFiles();
+  const entries = await Promise.all(files.map(manifestEntry));
+  [...manifestCache.keys()].forEach(f => { if(!files.includes(f)) manifestCache.delete(f); });
+  return entries;
+}
+
+async function regenerateManifest(){
+  const manifest = await buildManifest();
+  await writeFileAtomic(MANIFEST, JSON.stringify(manifest, null, 2) + "\n");
+  return manifest;
+}
+
+// All writes go through one queue so two uploads can't interleave their manifest rewrites
+let writeQueue = Promise.resolve();
+function serialized(task){
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(()=>{});
+  return run;
+}
+
+// A text/plain POST from another site's page needs no CORS preflight, so writes check the Origin the browser
+// sends; requests without one (curl, scripts) aren't from a web page
+function checkOrigin(req){
+  const origin = req.headers.origin;
+  if(!origin) return;
+  let host = null;
+  try { host = new URL(origin).host; } catch(e){}
+  if(host !== req.headers.host) throw new HttpError(403, "Writes are only accepted from this app's own pages.");
+}
+
+// ---------- API ----------
+async function handleApi(req, res, pathname){
+  if(req.method !== "GET" && req.method !== "HEAD") checkOrigin(req);
+  if(pathname === "/api/sites"){
+    if(req.method === "GET"){
+      try { return sendJson(res, 200, JSON.parse(await fsp.readFile(SITES, "utf8"))); }
+      catch(e){ if(e.code === "ENOENT") return sendJson(res, 200, { sites: [] }); throw e; }
+    }
+    if(req.method !== "PUT") throw new HttpError(405, "Method not allowed.");
+    const data = sitesData(await readBody(req));
+    return serialized(async ()=>{
+      await writeFileAtomic(SITES, JSON.stringify(data, null, 2) + "\n");
+      sendJson(res, 200, { saved: true, sites: data.sites.length });
+    });
+  }
+
+  if(pathname === "/api/notes" || pathname === "/api/notes/"){
+    if(req.method !== "GET") throw new HttpError(405, "Method not allowed.");
+    return sendJson(res, 200, await buildManifest());
+  }
+
+  const m = pathname.match(/^\/api\/notes\/([^/]+)$/);
+  if(!m) throw new HttpError(404, "Not found.");
+  let requested;
+  try { requested = decodeURIComponent(m[1]); } catch(e){ throw new HttpError(400, "Bad file name encoding."); }
+  const filename = reportFilename(requested);
+
+  if(req.method === "POST" || req.method === "PUT"){
+    const text = reportText(await readBody(req));
+    return serialized(async ()=>{
+      const existing = await findExistingReport(filename);
+      if(existing && req.method === "POST"){
+        throw new HttpError(409, `A report for ${dateKeyOf(filename)} already exists (${existing}).`);
+      }
+      // Replacing a hand-named file (2026-1-14.txt) moves it to the canonical name
+      if(existing && existing !== filename) await fsp.unlink(path.join(NOTES_DIR, existing));
+      await writeFileAtomic(path.join(NOTES_DIR, filename), text);
+      const manifest = await regenerateManifest();
+      sendJson(res, existing ? 200 : 201, { filename, replaced: Boolean(existing), manifest });
+    });
+  }
+
+  if(req.method === "DELETE"){
+    return serialized(async ()=>{
+      const existing = await findExistingReport(filename);
+      if(!existing) throw new HttpError(404, `No report for ${dateKeyOf(filename)}.`);
+      await fsp.unlink(path.join(NOTES_DIR, existing));
+      const manifest = await regenerateManifest();
+      sendJson(res, 200, { filename: existing, deleted: true, manifest });
+    });
+  }
+
+  throw new HttpError(405, "Method not allowed.");
+}
+
+// ---------- Static files ----------
+async function serveStatic(req, res, pathname){
+  if(req.method !== "GET" && req.method !== "HEAD") throw new HttpError(405, "Method not allowed.");
+  let rel;
+  try { rel = decodeURIComponent(pathname); } catch(e){ throw new HttpError(400, "Bad path encoding."); }
+  if(rel.endsWith("/")) rel += "index.html";
+  const file = path.normalize(path.join(ROOT, rel));
+  if(file !== ROOT && !file.startsWith(ROOT + path.sep)) throw new HttpError(403, "Forbidden.");
+  const parts = path.relative(ROOT, file).split(path.sep);
+  const isPublic = parts.length === 1 ? PUBLIC_FILES.has(parts[0]) : parts.length === 2 && PUBLIC_DIRS.has(parts[0]);
+  if(!isPublic || parts.some(part => part.startsWith("."))) throw new HttpError(404, "Not found.");
+
+  let stat;
+  try { stat = await fsp.stat(file); } catch(e){ throw new HttpError(404, "Not found."); }
+  if(!stat.isFile()) throw new HttpError(404, "Not found.");
+
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+  res.writeHead(200, { "Content-Type": type, "Content-Length": stat.size, "Cache-Control": "no-store" });
+  if(req.method === "HEAD") return res.end();
+  fs.createReadStream(file).pipe(res);
+}
+
+// ---------- Boot ----------
+const server = http.createServer(async (req, res)=>{
+  const { pathname } = new URL(req.url, "http://localhost");
+  try {
+    if(pathname.startsWith("/api/")) await handleApi(req, res, pathname);
+    else await serveStatic(req, res, pathname);
+  } catch(err){
+    const status = err instanceof HttpError ? err.status : 500;
+    if(status === 500) console.error(err);
+    if(res.headersSent) return res.end();
+    if(pathname.startsWith("/api/")) sendJson(res, status, { error: err.message || "Server error." });
+    else { res.writeHead(status, { "Content-Type": CONTENT_TYPES[".txt"] }); res.end(err.message || "Server error."); }
+  }
+});
+
+fs.mkdirSync(NOTES_DIR, { recursive: true });
+if(process.argv.includes("--manifest")){
+  serialized(regenerateManifest).then(files=>{
+    console.log(`Wrote ${path.relative(ROOT, MANIFEST)} (${files.length} report${files.length===1?"":"s"})`);
+  }, err=>{ console.error(err); process.exit(1); });
+} else {
+  // Pick up reports that were copied into /notes by hand while the server was down
+  serialized(regenerateManifest).then(files=>{
+    server.listen(PORT, HOST, ()=> console.log(`PowerCycleSummary running at http://${HOST === "0.0.0.0" ? "localhost" : HOST}:${PORT} (${files.length} report${files.length===1?"":"s"})`));
+  }, err=>{ console.error(err); process.exit(1); });
+}
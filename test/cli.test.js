@@ -0,0 +1,57 @@
+/* cli.test.js
+   - cli.js commands run as a child process against notes/ and sites.json
+   - Run with `npm test`
+*/
+
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+function run(...args){
+  const r = spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+  return { status: r.status, stdout: r.stdout, stderr: r.stderr };
+}
+
+test("list prints each report with its headings, newest first", () => {
+  const r = run("list");
+  assert.equal(r.status, 0);
+  assert.deepEqual(r.stdout.trim().split("\n"), [
+    "2026-01-21  2026-01-21.txt  ORD1- Gens 7 & 10 · IAD1-B- Gens IAD1- A & B · Fannie Mae · IAD2-A · Power Cycle",
+    "2026-01-14  2026-01-14.txt  CJ Mushroom · Fannie Mae · IWCO · Power Cycle",
+  ]);
+});
+
+test("search --json returns the matching sections and lines", () => {
+  const r = run("search", 'site:IAD2 "historical"', "--json");
+  assert.equal(r.status, 0);
+  const [hit] = JSON.parse(r.stdout);
+  assert.equal(hit.filename, "2026-01-21.txt");
+  assert.deepEqual(hit.sections.map(s => [s.title, s.line, s.lines.map(l => l.text)]), [["IAD2-A", 18, ["Go back and pull the historical data."]]]);
+});
+
+test("powercycles --site resolves aliases and generators like a Power Cycle bullet", () => {
+  const r = run("powercycles", "--site", "IAD2-A", "--json");
+  assert.equal(r.status, 0);
+  assert.deepEqual(JSON.parse(r.stdout).map(p => [p.dateKey, p.siteKey, p.raw, p.generatorIds]), [["2026-01-14", "iad2", "IAD2A Beachwood", ["a"]]]);
+  assert.deepEqual(JSON.parse(run("powercycles", "--since", "2026-01-15", "--json").stdout), []);
+});
+
+test("export --format csv writes one row per bullet with its site", () => {
+  const lines = run("export", "--format", "csv").stdout.trim().split("\r\n");
+  assert.equal(lines[0], "date,filename,section,site,siteId,line,kind,depth,tags,text");
+  assert.equal(lines[1], "2026-01-14,2026-01-14.txt,CJ Mushroom,CJ Mushroom,cj-mushroom,2,item,0,,There is a single run event for the stack testing.");
+  assert.equal(lines.filter(l => l.startsWith("2026-01-21,")).length, 13);
+});
+
+test("bad arguments exit with 2, bad queries and missing notes with 1", () => {
+  assert.equal(run("powercycles", "--since", "2026-02-30").status, 2);
+  assert.equal(run("list", "--bogus").status, 2);
+  assert.equal(run("frobnicate").status, 2);
+  const query = run("search", "(comms");
+  assert.equal(query.status, 1);
+  assert.match(query.stderr, /^Query error: /);
+  assert.equal(run("list", "--notes", path.join(__dirname, "no-such-folder")).status, 1);
+});
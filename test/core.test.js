@@ -0,0 +1,132 @@
+/* core.test.js
+   - core.js against the sample reports in notes/ and the registry in sites.json
+   - Run with `npm test` (node --test, no dependencies)
+*/
+
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  dateKeyFromFilename, parseNoteToBlocks, QuerySyntaxError, compileSearch, searchNote, createSiteRegistry, resolveSiteName,
+  buildGeneratorIndex, findPowerCycles, actionOwners, parseActionItem,
+} = require("../core");
+
+const ROOT = path.join(__dirname, "..");
+const registry = createSiteRegistry(JSON.parse(fs.readFileSync(path.join(ROOT, "sites.json"), "utf8")));
+const notes = fs.readdirSync(path.join(ROOT, "notes")).filter(f => /\.txt$/.test(f)).map(filename => {
+  const text = fs.readFileSync(path.join(ROOT, "notes", filename), "utf8");
+  return { id: filename, filename, dateKey: dateKeyFromFilename(filename), text, blocks: parseNoteToBlocks(text, filename) };
+});
+const note = dateKey => notes.find(n => n.dateKey===dateKey);
+const section = (n, title) => n.blocks.find(b => b.title===title);
+
+// ---------- parseNoteToBlocks ----------
+test("parseNoteToBlocks splits a report into its headings with their bullets and lines", () => {
+  const n = note("2026-01-21");
+  assert.deepEqual(n.blocks.map(b => b.title), ["ORD1- Gens 7 & 10", "IAD1-B- Gens IAD1- A & B", "Fannie Mae", "IAD2-A", "Power Cycle"]);
+  assert.deepEqual(n.blocks.map(b => b.line), [1, 6, 10, 18, 22]);
+  const fannie = section(n, "Fannie Mae");
+  assert.equal(fannie.id, "2026-01-21-txt-fannie-mae");
+  assert.equal(fannie.items.length, 6);
+  assert.equal(fannie.items[0], "Problems persisting with comms on GEN 1.");
+  assert.deepEqual(section(n, "Power Cycle").items, []);
+});
+
+test("parseNoteToBlocks nests indented bullets and keeps items flat", () => {
+  const [b] = parseNoteToBlocks("Site:\n- one\n  - two\n\t- three\n- four\nplain text", "x.txt");
+  assert.deepEqual(b.items, ["one", "two", "three", "four"]);
+  assert.deepEqual(b.list.map(node => [node.text, node.children.map(c => c.text)]), [["one", ["two"]], ["four", []]]);
+  assert.deepEqual(b.sourceLines.filter(l => l.kind==="item").map(l => l.depth), [0, 1, 2, 0]); // a tab is 4 spaces, deeper than "two"
+  assert.deepEqual(b.paragraphs, ["plain text"]);
+});
+
+test("parseNoteToBlocks gives repeated headings distinct slugs", () => {
+  assert.deepEqual(parseNoteToBlocks("IWCO:\n- a\nIWCO:\n- b", "x.txt").map(b => b.slug), ["iwco", "iwco-2"]);
+});
+
+// ---------- compileSearch / searchNote ----------
+const sectionsMatching = query => notes.flatMap(n => searchNote(n, compileSearch(query), registry).sections.map(b => `${n.dateKey} ${b.title}`)).sort();
+
+test("compileSearch returns null for an empty query and throws QuerySyntaxError for a malformed one", () => {
+  assert.equal(compileSearch("   "), null);
+  assert.throws(() => compileSearch("(comms"), QuerySyntaxError);
+  assert.throws(() => compileSearch("after:2026-13-45"), QuerySyntaxError);
+  assert.throws(() => compileSearch("before:2026-02-30"), QuerySyntaxError);
+  assert.equal(compileSearch("after:2026-2-3").ast.value, "2026-02-03");
+});
+
+test("phrases, negation and site: filters narrow the matching sections", () => {
+  assert.deepEqual(sectionsMatching(`"run events"`), ["2026-01-14 IWCO", "2026-01-21 Fannie Mae"]);
+  assert.deepEqual(sectionsMatching(`"run events" -comms`), ["2026-01-14 IWCO"]);
+  assert.deepEqual(sectionsMatching(`site:"Fannie Mae" comms`), ["2026-01-14 Fannie Mae", "2026-01-21 Fannie Mae"]);
+  assert.deepEqual(sectionsMatching(`gap after:2026-01-15`), ["2026-01-21 Fannie Mae", "2026-01-21 IAD1-B- Gens IAD1- A & B", "2026-01-21 ORD1- Gens 7 & 10"]);
+});
+
+test("searchNote counts highlighted hits in the matching sections", () => {
+  assert.equal(searchNote(note("2026-01-21"), compileSearch("gap OR gaps"), registry).hits, 4);
+});
+
+// ---------- resolveSiteName ----------
+const resolved = text => { const r = resolveSiteName(registry, text); return [r.site && r.site.id, r.generators.map(g => g.id), r.unknownGenerators]; };
+
+test("resolveSiteName matches site names, aliases and generator lists", () => {
+  assert.deepEqual(resolved("Fannie Mae"), ["fannie-mae", [], []]);
+  assert.deepEqual(resolved("HRST"), ["hrst-atlantic", [], []]);
+  assert.deepEqual(resolved("IAD2A Beachwood"), ["iad2", ["a"], []]);
+  assert.deepEqual(resolved("ORD1- Gens 7 & 10"), ["ord1", ["7", "10"], []]);
+  assert.deepEqual(resolved("IAD1-B- Gens IAD1- A & B"), ["iad1", ["a", "b"], []]);
+});
+
+test("resolveSiteName reports generators and sites it doesn't know", () => {
+  assert.deepEqual(resolved("ORD1 Gens 7 & 99"), ["ord1", ["7"], ["99"]]);
+  assert.deepEqual(resolved("Nowhere"), [null, [], []]);
+});
+
+// ---------- buildGeneratorIndex / findPowerCycles ----------
+test("buildGeneratorIndex files each heading under its generators, newest first", () => {
+  const index = buildGeneratorIndex(notes, registry);
+  assert.deepEqual(Object.keys(index.generatorsIndex).sort(), ["cj-mushroom", "fannie-mae", "iad1/a", "iad1/b", "iad2/a", "iwco", "ord1/10", "ord1/7"]);
+  assert.deepEqual(index.generatorsIndex["fannie-mae"].map(m => m.dateKey), ["2026-01-21", "2026-01-14"]);
+  assert.equal(index.generatorsDisplay["ord1/7"], "ORD1 · Gen 7");
+  assert.deepEqual(index.generatorsInfo["iad2/a"], { siteId: "iad2", generatorId: "a", matched: true });
+  assert.deepEqual(index.needsMapping, []);
+});
+
+test("findPowerCycles returns the site's cycles for a generator", () => {
+  const index = buildGeneratorIndex(notes, registry);
+  assert.deepEqual(Object.keys(index.powerCyclesMap).sort(), ["hrst-atlantic", "iad2"]);
+  assert.deepEqual(findPowerCycles(index, "iad2/a").map(p => [p.dateKey, p.raw]), [["2026-01-14", "IAD2A Beachwood"]]);
+  assert.deepEqual(findPowerCycles(index, "hrst-atlantic").map(p => p.dateKey), ["2026-01-14"]);
+  assert.deepEqual(findPowerCycles(index, "fannie-mae"), []);
+});
+
+test("headings that don't resolve are listed in needsMapping", () => {
+  const extra = { id: "2026-01-28.txt", filename: "2026-01-28.txt", dateKey: "2026-01-28", blocks: parseNoteToBlocks("Nowhere:\n- comms down\n\nPower Cycle:\n- Somewhere Else", "2026-01-28.txt") };
+  const index = buildGeneratorIndex(notes.concat(extra), registry);
+  assert.deepEqual(index.needsMapping.map(u => [u.raw, u.source]), [["Nowhere", "heading"], ["Somewhere Else", "power cycle"]]);
+  assert.equal(index.generatorsInfo.nowhere.matched, false);
+});
+
+// ---------- parseActionItem ----------
+const action = (text, owners) => { const a = parseActionItem(text, owners); return a && [a.text, a.owner, a.done]; };
+
+test("parseActionItem takes owners from @mentions and names already @mentioned", () => {
+  assert.deepEqual(action("[ ] @Eric swap the SD card"), ["swap the SD card", "Eric", false]);
+  assert.deepEqual(action("[x] check the DAC"), ["check the DAC", null, true]);
+  assert.deepEqual(action("@Bish will reset the PLC clock"), ["will reset the PLC clock", "Bish", false]);
+  assert.equal(action("Bish is going to reset the time on the PLC."), null);
+  assert.deepEqual(action("Bish is going to reset the time on the PLC.", ["Bish"]), ["Bish is going to reset the time on the PLC.", "Bish", false]);
+  assert.deepEqual(action("Go back and pull the historical data."), ["Go back and pull the historical data.", null, false]);
+});
+
+test("parseActionItem leaves status bullets alone", () => {
+  ["Data is going to be pulled", "Comms will be back Monday", "There is going to be a gap", "The card needs to be replaced", "Ask @Eric about it"]
+    .forEach(text => assert.equal(action(text, ["Eric"]), null, text));
+});
+
+test("actionOwners lists everyone @mentioned, as first written", () => {
+  const list = parseNoteToBlocks("IWCO:\n- [ ] @Eric swap the SD card\n- @eric and @Bish.K to check", "x.txt");
+  assert.deepEqual(actionOwners([{ blocks: list }]), ["Eric", "Bish.K"]);
+});
@@ -0,0 +1,56 @@
+/* issue-threads.test.js
+   - buildIssueThreads (recurring issues) against the sample reports in notes/ and the registry in sites.json
+   - Run with `npm test`
+*/
+
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { dateKeyFromFilename, parseNoteToBlocks, createSiteRegistry, buildGeneratorIndex, buildIssueThreads } = require("../core");
+
+const ROOT = path.join(__dirname, "..");
+const registry = createSiteRegistry(JSON.parse(fs.readFileSync(path.join(ROOT, "sites.json"), "utf8")));
+const notes = fs.readdirSync(path.join(ROOT, "notes")).filter(f => /\.txt$/.test(f)).map(filename => {
+  const text = fs.readFileSync(path.join(ROOT, "notes", filename), "utf8");
+  return { id: filename, filename, dateKey: dateKeyFromFilename(filename), text, blocks: parseNoteToBlocks(text, filename) };
+});
+
+// ---------- buildIssueThreads ----------
+test("buildIssueThreads groups a site's bullets by category across meetings", () => {
+  const index = buildGeneratorIndex(notes, registry);
+  const threads = buildIssueThreads(notes, registry, index.powerCyclesMap);
+  const comms = threads.find(t => t.key==="fannie-mae|comms");
+  assert.deepEqual(comms.mentions.map(m => m.dateKey), ["2026-01-21", "2026-01-14"]);
+  assert.equal(comms.meetings, 2);
+  assert.equal(comms.ongoing, true);
+  assert.equal(threads[0], comms);
+  assert.deepEqual(threads.filter(t => t.siteKey==="cj-mushroom" && t.category).map(t => t.category).sort(), ["equipment", "run-events"]);
+});
+
+test("buildIssueThreads puts each bullet in one thread", () => {
+  const threads = buildIssueThreads(notes, registry);
+  const seen = new Map();
+  threads.forEach(t => t.mentions.forEach(m => {
+    const id = `${m.sectionId}|${m.text}`;
+    assert.ok(!seen.has(id), `${m.text} is in ${seen.get(id)} and ${t.key}`);
+    seen.set(id, t.key);
+  }));
+  assert.equal(seen.get("2026-01-21-txt-fannie-mae|Had a number of long run events in December, and there are gaps in some of the later run events."), "fannie-mae|run-events");
+  const plc = [...seen].find(([id]) => id.includes("not the MOXA"));
+  assert.ok(plc && !plc[1].endsWith("|comms"));
+});
+
+test("buildIssueThreads marks resolved threads and the power cycle they ended near", () => {
+  const later = [
+    ["2026-02-04", "IWCO:\n- Missing run events again.\n\nPower Cycle:\n- IWCO"],
+    ["2026-02-11", "IWCO:\n- Missing run events fixed [RESOLVED]"],
+  ].map(([dateKey, text]) => ({ id: `${dateKey}.txt`, filename: `${dateKey}.txt`, dateKey, blocks: parseNoteToBlocks(text, `${dateKey}.txt`) }));
+  const all = notes.concat(later);
+  const thread = buildIssueThreads(all, registry, buildGeneratorIndex(all, registry).powerCyclesMap).find(t => t.key==="iwco|run-events");
+  assert.equal(thread.mentionedIn, 3);
+  assert.equal(thread.resolved, true);
+  assert.equal(thread.ongoing, false);
+  assert.equal(thread.powerCycle.dateKey, "2026-02-04");
+});